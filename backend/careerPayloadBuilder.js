@@ -49,6 +49,30 @@ function buildCareerPayload(
   };
 }
 
+// Same wording and fields as ordinalSuffix, formatDraftPick and draftSummary in future.js,
+// so the biography reads the same whichever side builds the payload.
+function ordinalSuffix(n) {
+  const s = ['th', 'st', 'nd', 'rd'];
+  const v = n % 100;
+  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+}
+
+function formatDraftPick(draft) {
+  if (!draft.drafted) return `Went undrafted in the ${draft.year} NBA Draft`;
+  return `Selected ${ordinalSuffix(draft.overall)} overall (round ${draft.round}, pick ${draft.pick}) in the ${draft.year} NBA Draft by the ${draft.draftedBy}`;
+}
+
+function draftSummary(draft) {
+  return {
+    year: draft.year,
+    round: draft.round,
+    pick: draft.pick,
+    overall: draft.overall,
+    team: draft.draftedBy,
+    signedWith: draft.drafted ? null : draft.team
+  };
+}
+
 /**
  * Convert future.js career simulation result to CareerPayload
  * 
@@ -63,6 +87,8 @@ function careerSimToPayload(simResult, playerName, customPosition, birthDate) {
   let careerHighReb = 0;
   const awards = [];
   const injuries = [];
+  const playoffRuns = [];
+  const draft = simResult.draft || null;
 
   // Extract from seasons data
   if (simResult.seasons && Array.isArray(simResult.seasons)) {
@@ -70,8 +96,9 @@ function careerSimToPayload(simResult, playerName, customPosition, birthDate) {
       const year = 2024 + idx; // Assume sim started 2024
       
       // Track team changes
-      if (season.team) {
-        teams.add(season.team);
+      const team = season.team || (season.custom && season.custom.team);
+      if (team) {
+        teams.add(team);
       }
 
       // Career highs
@@ -91,24 +118,67 @@ function careerSimToPayload(simResult, playerName, customPosition, birthDate) {
           injury: season.injury
         });
       }
+      // Playoff runs (seed, conference and how far the team got)
+      const run = season.custom && season.custom.playoffs;
+      if (run && run.seed) {
+        playoffRuns.push({
+          season: `${year}-${String(year + 1).slice(2)}`,
+          team: season.custom.team,
+          conference: run.conference,
+          seed: run.seed,
+          result: run.result
+        });
+      }
+
+      const simInjuries = (season.custom && season.custom.injuries) || season.injuries || [];
+      simInjuries.forEach(inj => {
+        injuries.push({
+          date: inj.date,
+          injury: inj.type,
+          severity: inj.severity,
+          gamesMissed: inj.gamesMissed,
+          lastingDecline: inj.dent > 0
+        });
+      });
     });
   }
 
   // Build timeline from seasons
   if (simResult.seasons && Array.isArray(simResult.seasons)) {
     if (simResult.seasons.length > 0) {
+      const first = simResult.seasons[0];
+      const firstTeam = first.team || (first.custom && first.custom.team);
       timeline.push({
-        date: `June 26, 2024`,
-        event: 'Drafted',
-        details: `Selected in the NBA Draft`
+        date: `June 26, ${draft ? draft.year : 2024}`,
+        event: draft && !draft.drafted ? 'Undrafted' : 'Drafted',
+        details: draft ? formatDraftPick(draft) : 'Selected in the 2024 NBA Draft'
       });
 
+      if (draft && !draft.drafted) {
+        timeline.push({
+          date: `July 1, ${draft.year}`,
+          event: 'Signed as Undrafted Free Agent',
+          details: `Signed with the ${draft.team}`
+        });
+      }
+
       timeline.push({
         date: `October 2024`,
         event: 'NBA Debut',
-        details: `Debuted in first NBA season with ${simResult.seasons[0].team || 'unknown team'}`
+        details: `Debuted in first NBA season with ${firstTeam || 'unknown team'}`
       });
     }
+
+    // Trades, free-agent signings and re-signings between seasons
+    simResult.seasons.forEach(season => {
+      (season.offseason || []).forEach(move => {
+        timeline.push({
+          date: move.date,
+          event: move.type,
+          details: move.details
+        });
+      });
+    });
   }
 
   return {
@@ -122,12 +192,14 @@ function careerSimToPayload(simResult, playerName, customPosition, birthDate) {
     },
     careerTimeline: timeline,
     careerStats: {
+      draft: draft ? draftSummary(draft) : null,
       seasons: simResult.seasons ? simResult.seasons.length : 0,
       teams: Array.from(teams),
       careerHighPoints: Math.round(careerHighPts),
       careerHighAssists: Math.round(careerHighAst),
       careerHighRebounds: Math.round(careerHighReb),
       awards,
+      playoffRuns,
       injuries
     },
     modeContext: {
@@ -1,8 +1,10 @@
 /* =========================================================
    NBA GAME BACKEND - AI Biography Server
-   Supports Gemini + Ollama with quota management
+   Supports Gemini + Ollama with quota management,
+   plus multiplayer draft rooms over Server-Sent Events
    ========================================================= */
 
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
@@ -291,6 +293,331 @@ app.post('/api/ai/career', async (req, res) => {
   }
 });
 
+// ============================================
+// DRAFT ROOMS
+// ============================================
+
+const ROOM_ATTRIBUTE_SLOTS = ['shooting', 'passing', 'rebounding', 'longevity', 'athleticism', 'height'];
+const ROOM_TEAM_SLOTS = ['PG', 'SG', 'SF', 'PF', 'C', 'B1', 'B2', 'B3', 'B4', 'B5'];
+const ROOM_ROSTER_SIZES = [5, 8, 10];
+const ROOM_ERAS = ['all', '1980s', '1990s', '2000s', '2010s', '2020s'];
+const ROOM_MAX_MEMBERS = 6;
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_IDLE_MS = 6 * 60 * 60 * 1000;
+const ROOM_HEARTBEAT_MS = 25 * 1000;
+const rooms = new Map(); // code -> room
+
+function generateRoomCode() {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(5), b => ROOM_CODE_CHARS[b % ROOM_CODE_CHARS.length]).join('');
+  } while (rooms.has(code));
+  return code;
+}
+
+/**
+ * Keeps only the settings every client needs to rebuild the same game.
+ * The seed drives the shared pool, so all devices see identical players.
+ */
+function sanitizeRoomSettings(settings = {}) {
+  const seed = Number(settings.seed);
+  return {
+    gameMode: settings.gameMode === 'team' ? 'team' : 'attribute',
+    era: ROOM_ERAS.includes(settings.era) ? settings.era : 'all',
+    seed: Number.isFinite(seed) ? seed >>> 0 : crypto.randomBytes(4).readUInt32BE(0),
+    format: ['single', 'roundRobin', 'double'].includes(settings.format) ? settings.format : 'single',
+    detail: ['light', 'medium', 'full'].includes(settings.detail) ? settings.detail : 'light',
+    seriesLength: [1, 3, 5, 7].includes(Number(settings.seriesLength)) ? Number(settings.seriesLength) : 1,
+    rosterSize: ROOM_ROSTER_SIZES.includes(Number(settings.rosterSize)) ? Number(settings.rosterSize) : 5,
+    positionLocked: !!settings.positionLocked,
+    capMode: !!settings.capMode
+  };
+}
+
+// Team rooms draft five starters plus any bench slots.
+function roomSlots(settings) {
+  return settings.gameMode === 'team' ? ROOM_TEAM_SLOTS.slice(0, settings.rosterSize) : ROOM_ATTRIBUTE_SLOTS;
+}
+
+function cleanMemberName(name) {
+  return String(name || '').trim().slice(0, 40);
+}
+
+// Names are shown on every device in the room, so markup characters are refused outright.
+function memberNameError(name) {
+  if (!name) return 'Missing name';
+  if (/[<>&"'`]/.test(name)) return 'Names cannot contain < > & " \' or `';
+  return null;
+}
+
+// Same order as the single-tab snake draft: 1..N, then N..1.
+function snakeOrderIndex(pickNumber, n) {
+  const round = Math.floor(pickNumber / n);
+  const idx = pickNumber % n;
+  return round % 2 === 0 ? idx : n - 1 - idx;
+}
+
+function roomOnTheClock(room) {
+  if (!room.started || room.pickNumber >= room.totalPicks) return null;
+  return snakeOrderIndex(room.pickNumber, room.members.length);
+}
+
+// Member ids act as secrets, so they never leave the server in broadcasts.
+function publicRoom(room) {
+  return {
+    code: room.code,
+    settings: room.settings,
+    members: room.members.map(m => ({ name: m.name })),
+    hostIndex: 0,
+    started: room.started,
+    pickNumber: room.pickNumber,
+    totalPicks: room.totalPicks,
+    onTheClock: roomOnTheClock(room),
+    picks: room.picks,
+    result: room.result
+  };
+}
+
+function broadcastRoom(room) {
+  room.updatedAt = Date.now();
+  const message = `event: room\ndata: ${JSON.stringify(publicRoom(room))}\n\n`;
+  room.clients.forEach(client => client.write(message));
+}
+
+function findRoom(req, res) {
+  const room = rooms.get(String(req.params.code || '').toUpperCase());
+  if (!room) res.status(404).json({ error: 'Room not found' });
+  return room;
+}
+
+function memberIndexOf(room, memberId) {
+  return room.members.findIndex(m => m.id === memberId);
+}
+
+// Heartbeats keep proxies from closing idle streams; idle rooms expire.
+setInterval(() => {
+  const now = Date.now();
+  rooms.forEach((room, code) => {
+    if (now - room.updatedAt > ROOM_IDLE_MS) {
+      room.clients.forEach(client => client.end());
+      rooms.delete(code);
+      return;
+    }
+    room.clients.forEach(client => client.write(': ping\n\n'));
+  });
+}, ROOM_HEARTBEAT_MS).unref();
+
+/**
+ * POST /api/rooms
+ * Creates a room; the creator is the host and member 0
+ *
+ * Request body:
+ * {
+ *   "name": "Host name",
+ *   "settings": { gameMode, era, seed, format, detail, seriesLength, positionLocked, capMode }
+ * }
+ */
+app.post('/api/rooms', (req, res) => {
+  const name = cleanMemberName(req.body.name);
+  const nameError = memberNameError(name);
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+  // The era is written into every member's pick modal, so only the known eras are taken.
+  const era = req.body.settings && req.body.settings.era;
+  if (era != null && !ROOM_ERAS.includes(era)) {
+    return res.status(400).json({ error: `Unknown era; expected one of ${ROOM_ERAS.join(', ')}` });
+  }
+
+  const member = { id: crypto.randomUUID(), name };
+  const room = {
+    code: generateRoomCode(),
+    settings: sanitizeRoomSettings(req.body.settings),
+    members: [member],
+    started: false,
+    pickNumber: 0,
+    totalPicks: 0,
+    picks: [],
+    result: null,
+    clients: new Set(),
+    updatedAt: Date.now()
+  };
+  rooms.set(room.code, room);
+  console.log(`[ROOMS] Created ${room.code}`);
+
+  return res.status(201).json({ memberId: member.id, memberIndex: 0, room: publicRoom(room) });
+});
+
+/**
+ * GET /api/rooms/:code
+ * Returns the public room state
+ */
+app.get('/api/rooms/:code', (req, res) => {
+  const room = findRoom(req, res);
+  if (!room) return;
+  return res.json(publicRoom(room));
+});
+
+/**
+ * POST /api/rooms/:code/join
+ * Adds a member before the draft starts
+ */
+app.post('/api/rooms/:code/join', (req, res) => {
+  const room = findRoom(req, res);
+  if (!room) return;
+
+  const name = cleanMemberName(req.body.name);
+  const nameError = memberNameError(name);
+  if (nameError) {
+    return res.status(400).json({ error: nameError });
+  }
+  if (room.started) {
+    return res.status(409).json({ error: 'The draft has already started' });
+  }
+  if (room.members.length >= ROOM_MAX_MEMBERS) {
+    return res.status(409).json({ error: 'Room is full' });
+  }
+
+  const member = { id: crypto.randomUUID(), name };
+  room.members.push(member);
+  broadcastRoom(room);
+
+  return res.json({ memberId: member.id, memberIndex: room.members.length - 1, room: publicRoom(room) });
+});
+
+/**
+ * GET /api/rooms/:code/events?memberId=...
+ * Server-Sent Events stream for members; sends a "room" event on connect and after every change
+ */
+app.get('/api/rooms/:code/events', (req, res) => {
+  const room = findRoom(req, res);
+  if (!room) return;
+
+  if (memberIndexOf(room, req.query.memberId) === -1) {
+    return res.status(403).json({ error: 'Not a member of this room' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(`event: room\ndata: ${JSON.stringify(publicRoom(room))}\n\n`);
+
+  room.clients.add(res);
+  req.on('close', () => room.clients.delete(res));
+});
+
+/**
+ * POST /api/rooms/:code/start
+ * Host only; locks the member list and opens the snake draft
+ */
+app.post('/api/rooms/:code/start', (req, res) => {
+  const room = findRoom(req, res);
+  if (!room) return;
+
+  if (memberIndexOf(room, req.body.memberId) !== 0) {
+    return res.status(403).json({ error: 'Only the host can start the draft' });
+  }
+  if (room.started) {
+    return res.status(409).json({ error: 'The draft has already started' });
+  }
+  if (room.members.length < 2) {
+    return res.status(409).json({ error: 'At least two members are needed' });
+  }
+
+  room.started = true;
+  room.totalPicks = room.members.length * roomSlots(room.settings).length;
+  broadcastRoom(room);
+
+  return res.json(publicRoom(room));
+});
+
+/**
+ * POST /api/rooms/:code/picks
+ * Records a pick for the member on the clock
+ *
+ * Request body:
+ * {
+ *   "memberId": "...",
+ *   "key": "PG" | "shooting" | ...,
+ *   "player": { "id": "Name|Debut", "name": "Name" }
+ * }
+ */
+app.post('/api/rooms/:code/picks', (req, res) => {
+  const room = findRoom(req, res);
+  if (!room) return;
+
+  const { memberId, key, player } = req.body;
+  const memberIndex = memberIndexOf(room, memberId);
+  if (memberIndex === -1) {
+    return res.status(403).json({ error: 'Not a member of this room' });
+  }
+
+  const clock = roomOnTheClock(room);
+  if (clock === null) {
+    return res.status(409).json({ error: room.started ? 'The draft is complete' : 'The draft has not started' });
+  }
+  if (clock !== memberIndex) {
+    return res.status(409).json({ error: `${room.members[clock].name} is on the clock` });
+  }
+  if (!roomSlots(room.settings).includes(key)) {
+    return res.status(400).json({ error: 'Unknown slot' });
+  }
+  if (!player || !player.id) {
+    return res.status(400).json({ error: 'Missing player' });
+  }
+  if (room.picks.some(pk => pk.participantIndex === memberIndex && pk.key === key)) {
+    return res.status(409).json({ error: 'That slot is already filled' });
+  }
+  const playerId = String(player.id);
+  if (room.picks.some(pk => pk.playerId === playerId)) {
+    return res.status(409).json({ error: `${player.name || playerId} has already been drafted` });
+  }
+
+  room.picks.push({
+    overall: room.pickNumber + 1,
+    round: Math.floor(room.pickNumber / room.members.length) + 1,
+    participantIndex: memberIndex,
+    key,
+    playerId,
+    playerName: String(player.name || playerId)
+  });
+  room.pickNumber += 1;
+  broadcastRoom(room);
+
+  return res.json(publicRoom(room));
+});
+
+/**
+ * POST /api/rooms/:code/result
+ * Host only; stores the final sim once the draft is complete.
+ * Only the first result is kept so everyone sees the same game.
+ */
+app.post('/api/rooms/:code/result', (req, res) => {
+  const room = findRoom(req, res);
+  if (!room) return;
+
+  if (memberIndexOf(room, req.body.memberId) !== 0) {
+    return res.status(403).json({ error: 'Only the host can post the result' });
+  }
+  if (!room.started || room.pickNumber < room.totalPicks) {
+    return res.status(409).json({ error: 'The draft is not complete' });
+  }
+  if (room.result) {
+    return res.status(409).json({ error: 'The result has already been posted' });
+  }
+  if (!req.body.text) {
+    return res.status(400).json({ error: 'Missing text' });
+  }
+
+  room.result = String(req.body.text);
+  broadcastRoom(room);
+
+  return res.json(publicRoom(room));
+});
+
 // ============================================
 // HEALTH CHECK
 // ============================================
@@ -11,6 +11,7 @@ let playersLoaded = false;
 let eraFilter = "all";
 let teamsByEra = {};
 let statSummary = {};
+let eraAdjust = false;
 
 const ATTRIBUTES = [
   "shooting",
@@ -344,6 +345,66 @@ function zScore(value, statKey) {
   return (val - entry.mean) / entry.std;
 }
 
+/* =========================
+   Era Adjustment
+   ========================= */
+// Per-game rate stats only; G and Height are not pace-bound.
+const ERA_ADJUSTED_STATS = ["PTS", "TRB", "AST", "STL", "BLK", "FG%", "PER"];
+const ERA_BASELINE_MIN_GAMES = 50;
+const ERA_BASELINE_MIN_SAMPLE = 20;
+let eraBaselines = null;
+const eraAdjustedCache = new WeakMap();
+
+function debutDecade(player) {
+  return Math.floor(num(player.Debut) / 10) * 10;
+}
+
+/**
+ * Mean/std of each rate stat per debut decade and overall, from players
+ * with 50+ games. Untracked stats (zeros/blanks) are left out.
+ */
+function buildEraBaselines() {
+  const regulars = players.filter(p => num(p.G) >= ERA_BASELINE_MIN_GAMES);
+  const summarize = group => {
+    const out = {};
+    ERA_ADJUSTED_STATS.forEach(stat => {
+      const vals = group.map(p => Number(p[stat])).filter(v => Number.isFinite(v) && v > 0);
+      if (vals.length >= ERA_BASELINE_MIN_SAMPLE) out[stat] = computeMeanStd(vals);
+    });
+    return out;
+  };
+  const decades = {};
+  new Set(regulars.map(debutDecade)).forEach(decade => {
+    decades[decade] = summarize(regulars.filter(p => debutDecade(p) === decade));
+  });
+  eraBaselines = { overall: summarize(regulars), decades };
+}
+
+/**
+ * Copy of `player` with each rate stat moved to the same z-score on the
+ * all-time scale (z-score within the debut decade, then back to units).
+ */
+function eraAdjustedPlayer(player) {
+  if (!player || !eraBaselines) return player;
+  if (eraAdjustedCache.has(player)) return eraAdjustedCache.get(player);
+
+  const decade = eraBaselines.decades[debutDecade(player)] || {};
+  const adjusted = { ...player };
+  ERA_ADJUSTED_STATS.forEach(stat => {
+    const raw = Number(player[stat]);
+    const base = decade[stat];
+    const all = eraBaselines.overall[stat];
+    if (player[stat] === null || !Number.isFinite(raw) || !base || !all) return;
+    adjusted[stat] = Math.max(0, all.mean + ((raw - base.mean) / base.std) * all.std);
+  });
+  eraAdjustedCache.set(player, adjusted);
+  return adjusted;
+}
+
+function statView(player) {
+  return eraAdjust ? eraAdjustedPlayer(player) : player;
+}
+
 function getPositionGroup(position) {
   const pos = String(position || "").toLowerCase();
   if (pos.includes("center")) return "C";
@@ -545,13 +606,18 @@ async function initDatabase() {
   if (hasCol("STL")) selectCols.push("STL");
   if (hasCol("BLK")) selectCols.push("BLK");
   const selectSql = selectCols.map(c => (c === "FG%" ? `"${c}"` : c)).join(", ");
-  const res = db.exec(`SELECT ${selectSql} FROM players`);
+  const res = db.exec(`SELECT rowid, ${selectSql} FROM players`);
+  playersByRowid.clear();
   players = res[0].values.map(row => {
     const obj = {};
-    res[0].columns.forEach((c, i) => obj[c] = row[i]);
+    res[0].columns.forEach((c, i) => {
+      if (i > 0) obj[c] = row[i];
+    });
+    playersByRowid.set(row[0], obj);
     return obj;
   });
   buildStatSummary();
+  buildEraBaselines();
 
   // Try load real franchises mapping (optional)
   try {
@@ -706,18 +772,32 @@ function openFutureModal(attrKey) {
 
   body.innerHTML = "";
 
-  const rng = rngFromString(buildSeedString(`attr:${attrKey}`));
   let pool = players.filter(p => inEra(p));
-  const context = buildStatContext(pool);
-  pool = shuffleInPlace(rng, pool.slice()).slice(0, 10);
+  const context = buildStatContext(pool.map(statView));
 
+  if (document.getElementById("browseModeToggle")?.checked) {
+    renderFutureBrowsePanel(body, attrKey, context);
+  } else {
+    const rng = rngFromString(buildSeedString(`attr:${attrKey}`));
+    pool = shuffleInPlace(rng, pool.slice()).slice(0, 10);
+    const table = buildFutureTable(attrKey);
+    const tb = table.querySelector("tbody");
+    pool.forEach(p => tb.appendChild(buildFutureRow(attrKey, p, context)));
+    body.appendChild(table);
+  }
+
+  document.getElementById("modalClose").onclick = () => modal.classList.add("hidden");
+  modal.classList.remove("hidden");
+}
+
+function buildFutureTable(attrKey) {
   const table = document.createElement("table");
   table.className = "pick-table";
   if (attrKey === "athleticism") {
     table.innerHTML = `
       <thead>
         <tr>
-          <th>Name</th><th>Pos</th><th>ATH</th><th></th>
+          <th data-sort="Name">Name</th><th>Pos</th><th>ATH</th><th></th>
         </tr>
       </thead>
       <tbody></tbody>
@@ -726,81 +806,275 @@ function openFutureModal(attrKey) {
     table.innerHTML = `
       <thead>
         <tr>
-          <th>Name</th><th>Pos</th><th>PTS</th><th>AST</th>
-          <th>TRB</th><th>PER</th><th>FG%</th><th>G</th><th>Hgt</th><th></th>
+          <th data-sort="Name">Name</th><th>Pos</th><th data-sort="PTS">PTS</th><th data-sort="AST">AST</th>
+          <th data-sort="TRB">TRB</th><th data-sort="PER">PER</th><th data-sort="FG%">FG%</th>
+          <th data-sort="G">G</th><th data-sort="Height">Hgt</th><th></th>
         </tr>
       </thead>
       <tbody></tbody>
     `;
   }
+  return table;
+}
 
-  const tb = table.querySelector("tbody");
+/** The value a picked player gives an attribute, era-adjusted if enabled. */
+function peakValue(attrKey, player) {
+  const p = statView(player);
+  if (attrKey === "athleticism") {
+    return computeAthleticism({
+      per: p.PER,
+      fg: p["FG%"],
+      reb: p.TRB,
+      g: p.G,
+      height: p.Height
+    });
+  }
+  return num(p[ATTR_MAP[attrKey]]);
+}
 
-  pool.forEach(p => {
-    const posGroup = getPositionGroup(p.Position);
-    const tr = document.createElement("tr");
+function buildFutureRow(attrKey, player, context) {
+  const modal = document.getElementById("modalOverlay");
+  const p = statView(player);
+  const posGroup = getPositionGroup(p.Position);
+  const tr = document.createElement("tr");
+  if (attrKey === "athleticism") {
+    const ath = peakValue(attrKey, player);
+    tr.innerHTML = `
+      <td>${p.Name}</td>
+      <td>${p.Position}</td>
+      <td class="${statClass(ath, "ATH", posGroup, context)}">${fmt(ath, 2)}</td>
+      <td><button class="dice-btn">Select</button></td>
+    `;
+  } else {
+    tr.innerHTML = `
+      <td>${p.Name}</td>
+      <td>${p.Position}</td>
+      <td class="${statClass(p.PTS, "PTS", posGroup, context)}">${fmt(p.PTS, 1)}</td>
+      <td class="${statClass(p.AST, "AST", posGroup, context)}">${fmt(p.AST, 1)}</td>
+      <td class="${statClass(p.TRB, "TRB", posGroup, context)}">${fmt(p.TRB, 1)}</td>
+      <td class="${statClass(p.PER, "PER", posGroup, context)}">${fmt(p.PER, 1)}</td>
+      <td class="${statClass(p["FG%"], "FG%", posGroup, context)}">${fmt(p["FG%"], 1)}</td>
+      <td class="${statClass(p.G, "G", posGroup, context)}">${fmt(p.G, 0)}</td>
+      <td class="${statClass(p.Height, "Height", posGroup, context)}">${fmt(p.Height, 0)}</td>
+      <td><button class="dice-btn">Select</button></td>
+    `;
+  }
+
+  tr.querySelector("button").onclick = () => {
+    const value = peakValue(attrKey, player);
+
+    customPeak[attrKey] = { value, source: p.Name, player };
+
+    const input = document.getElementById(`future-${attrKey}-value`);
     if (attrKey === "athleticism") {
-      const ath = computeAthleticism({
-        per: p.PER,
-        fg: p["FG%"],
-        reb: p.TRB,
-        g: p.G,
-        height: p.Height
-      });
-      tr.innerHTML = `
-        <td>${p.Name}</td>
-        <td>${p.Position}</td>
-        <td class="${statClass(ath, "ATH", posGroup, context)}">${fmt(ath, 2)}</td>
-        <td><button class="dice-btn">Select</button></td>
-      `;
+      input.value = `${value.toFixed(2)}`;
     } else {
-      tr.innerHTML = `
-        <td>${p.Name}</td>
-        <td>${p.Position}</td>
-        <td class="${statClass(p.PTS, "PTS", posGroup, context)}">${fmt(p.PTS, 1)}</td>
-        <td class="${statClass(p.AST, "AST", posGroup, context)}">${fmt(p.AST, 1)}</td>
-        <td class="${statClass(p.TRB, "TRB", posGroup, context)}">${fmt(p.TRB, 1)}</td>
-        <td class="${statClass(p.PER, "PER", posGroup, context)}">${fmt(p.PER, 1)}</td>
-        <td class="${statClass(p["FG%"], "FG%", posGroup, context)}">${fmt(p["FG%"], 1)}</td>
-        <td class="${statClass(p.G, "G", posGroup, context)}">${fmt(p.G, 0)}</td>
-        <td class="${statClass(p.Height, "Height", posGroup, context)}">${fmt(p.Height, 0)}</td>
-        <td><button class="dice-btn">Select</button></td>
-      `;
+      input.value = `${p.Name} (${value.toFixed(2)})`;
     }
 
-    tr.querySelector("button").onclick = () => {
-      let value;
-      if (attrKey === "athleticism") {
-        value = computeAthleticism({
-          per: p.PER,
-          fg: p["FG%"],
-          reb: p.TRB,
-          g: p.G,
-          height: p.Height
-        });
-      } else {
-        value = num(p[ATTR_MAP[attrKey]]);
-      }
+    modal.classList.add("hidden");
+  };
 
-      customPeak[attrKey] = { value, source: p.Name };
+  return tr;
+}
 
-      const input = document.getElementById(`future-${attrKey}-value`);
-      if (attrKey === "athleticism") {
-        input.value = `${value.toFixed(2)}`;
-      } else {
-        input.value = `${p.Name} (${value.toFixed(2)})`;
-      }
+/* =========================
+   Browse Mode
+   ========================= */
+const BROWSE_PAGE_SIZE = 25;
+const BROWSE_ERAS = ["1980s", "1990s", "2000s", "2010s", "2020s"];
+const playersByRowid = new Map(); // SQLite rowid -> player
 
-      modal.classList.add("hidden");
-    };
+/**
+ * Parameterised WHERE clause for the browse filters. A chosen career era
+ * still limits the results, as it does for the random 10.
+ */
+function buildBrowseWhere(filters) {
+  const clauses = [];
+  const params = [];
+  if (filters.name) {
+    clauses.push("Name LIKE ?");
+    params.push(`%${filters.name}%`);
+  }
+  if (filters.position) {
+    clauses.push("Position LIKE ?");
+    params.push(`%${filters.position}%`);
+  }
+  const era = eraFilter !== "all" ? eraFilter : filters.era;
+  if (era && era !== "all") {
+    const start = parseInt(era.slice(0, 4), 10);
+    clauses.push("Debut >= ? AND Debut < ?");
+    params.push(start, start + 10);
+  }
+  if (filters.stat && hasCol(filters.stat)) {
+    if (Number.isFinite(filters.min)) {
+      clauses.push(`"${filters.stat}" >= ?`);
+      params.push(filters.min);
+    }
+    if (Number.isFinite(filters.max)) {
+      clauses.push(`"${filters.stat}" <= ?`);
+      params.push(filters.max);
+    }
+  }
+  return { where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "", params };
+}
 
-    tb.appendChild(tr);
+function queryBrowsePage(filters) {
+  if (eraAdjust) return queryAdjustedBrowsePage(filters);
+  const { where, params } = buildBrowseWhere(filters);
+
+  const countStmt = db.prepare(`SELECT COUNT(*) FROM players ${where}`);
+  countStmt.bind(params);
+  countStmt.step();
+  const total = countStmt.get()[0];
+  countStmt.free();
+
+  const sortCol = filters.sort === "Name" || hasCol(filters.sort) ? filters.sort : "Name";
+  const dir = filters.dir === "asc" ? "ASC" : "DESC";
+  const stmt = db.prepare(
+    `SELECT rowid FROM players ${where} ` +
+    `ORDER BY "${sortCol}" IS NULL, "${sortCol}" ${dir}, Name LIMIT ? OFFSET ?`
+  );
+  stmt.bind([...params, BROWSE_PAGE_SIZE, filters.page * BROWSE_PAGE_SIZE]);
+  const rows = [];
+  while (stmt.step()) {
+    const p = playersByRowid.get(stmt.get()[0]);
+    if (p) rows.push(p);
+  }
+  stmt.free();
+  return { rows, total };
+}
+
+// Era adjustment changes the numbers the rows show, so the stat range and the sort run on those here.
+function queryAdjustedBrowsePage(filters) {
+  const { where, params } = buildBrowseWhere({ ...filters, stat: "" });
+  const stmt = db.prepare(`SELECT rowid FROM players ${where}`);
+  stmt.bind(params);
+  let matches = [];
+  while (stmt.step()) {
+    const p = playersByRowid.get(stmt.get()[0]);
+    if (p) matches.push({ p, view: statView(p) });
+  }
+  stmt.free();
+
+  const valueOf = (view, col) => {
+    const v = view[col];
+    return v === null || v === undefined || v === "" || !Number.isFinite(Number(v)) ? null : Number(v);
+  };
+  if (filters.stat && hasCol(filters.stat)) {
+    matches = matches.filter(({ view }) => {
+      const v = valueOf(view, filters.stat);
+      if (Number.isFinite(filters.min) && (v === null || v < filters.min)) return false;
+      if (Number.isFinite(filters.max) && (v === null || v > filters.max)) return false;
+      return true;
+    });
+  }
+
+  const sortCol = filters.sort === "Name" || hasCol(filters.sort) ? filters.sort : "Name";
+  const sign = filters.dir === "asc" ? 1 : -1;
+  const byName = (a, b) => (a.p.Name < b.p.Name ? -1 : a.p.Name > b.p.Name ? 1 : 0);
+  matches.sort((a, b) => {
+    if (sortCol === "Name") return sign * byName(a, b);
+    const x = valueOf(a.view, sortCol);
+    const y = valueOf(b.view, sortCol);
+    if (x === null || y === null) return (x === null) - (y === null) || byName(a, b);
+    return sign * (x - y) || byName(a, b);
   });
 
-  body.appendChild(table);
+  const start = filters.page * BROWSE_PAGE_SIZE;
+  return { rows: matches.slice(start, start + BROWSE_PAGE_SIZE).map(m => m.p), total: matches.length };
+}
 
-  document.getElementById("modalClose").onclick = () => modal.classList.add("hidden");
-  modal.classList.remove("hidden");
+function renderFutureBrowsePanel(body, attrKey, context) {
+  const mapped = attrKey === "athleticism" ? "PER" : ATTR_MAP[attrKey];
+  const defaultSort = mapped && hasCol(mapped) ? mapped : "PTS";
+  const filters = { name: "", position: "", era: "all", stat: defaultSort, min: NaN, max: NaN, sort: defaultSort, dir: "desc", page: 0 };
+  const eraLocked = eraFilter !== "all";
+  const eraOptions = (eraLocked ? [eraFilter] : ["all", ...BROWSE_ERAS])
+    .map(era => `<option value="${era}">${era === "all" ? "All Eras" : era}</option>`)
+    .join("");
+  const statOptions = COLOR_STATS.filter(stat => hasCol(stat))
+    .map(stat => `<option value="${stat}" ${stat === defaultSort ? "selected" : ""}>${stat === "Height" ? "Hgt" : stat}</option>`)
+    .join("");
+  const sortOptions = ["Name", ...COLOR_STATS.filter(stat => hasCol(stat))]
+    .map(col => `<option value="${col}" ${col === defaultSort ? "selected" : ""}>Sort: ${col === "Height" ? "Hgt" : col}</option>`)
+    .join("");
+
+  const controls = document.createElement("div");
+  controls.className = "browse-controls";
+  controls.innerHTML = `
+    <input data-filter="name" placeholder="Search name" />
+    <select data-filter="position">
+      <option value="">All Positions</option>
+      <option value="Guard">Guard</option>
+      <option value="Forward">Forward</option>
+      <option value="Center">Center</option>
+    </select>
+    <select data-filter="era" ${eraLocked ? "disabled" : ""}>${eraOptions}</select>
+    <select data-filter="stat">${statOptions}</select>
+    <input data-filter="min" type="number" step="any" placeholder="Min" />
+    <input data-filter="max" type="number" step="any" placeholder="Max" />
+    <select data-filter="sort">${sortOptions}</select>
+  `;
+
+  const table = buildFutureTable(attrKey);
+  const tb = table.querySelector("tbody");
+  const pager = document.createElement("div");
+  pager.className = "browse-pager";
+  const sortSelect = controls.querySelector('[data-filter="sort"]');
+
+  const refresh = () => {
+    const { rows, total } = queryBrowsePage(filters);
+    const pages = Math.max(1, Math.ceil(total / BROWSE_PAGE_SIZE));
+    tb.innerHTML = "";
+    rows.forEach(p => tb.appendChild(buildFutureRow(attrKey, p, context)));
+    sortSelect.value = filters.sort;
+    table.querySelectorAll("th[data-sort]").forEach(th => {
+      th.classList.toggle("sorted", th.getAttribute("data-sort") === filters.sort);
+    });
+    pager.innerHTML = `
+      <button type="button" class="dice-btn" data-page="-1" ${filters.page === 0 ? "disabled" : ""}>Prev</button>
+      <span class="muted">Page ${filters.page + 1} of ${pages} (${total} players)</span>
+      <button type="button" class="dice-btn" data-page="1" ${filters.page + 1 >= pages ? "disabled" : ""}>Next</button>
+    `;
+    pager.querySelectorAll("button[data-page]").forEach(btn => {
+      btn.onclick = () => {
+        filters.page += Number(btn.getAttribute("data-page"));
+        refresh();
+      };
+    });
+  };
+
+  const setSort = col => {
+    filters.dir = filters.sort === col && filters.dir === "desc" ? "asc" : "desc";
+    if (filters.sort !== col && col === "Name") filters.dir = "asc";
+    filters.sort = col;
+  };
+
+  controls.querySelectorAll("[data-filter]").forEach(input => {
+    const key = input.getAttribute("data-filter");
+    const apply = () => {
+      if (key === "sort") setSort(input.value);
+      else if (key === "min" || key === "max") filters[key] = input.value === "" ? NaN : Number(input.value);
+      else filters[key] = input.value.trim();
+      filters.page = 0;
+      refresh();
+    };
+    // selects fire both events on a change, and a second setSort would flip the direction back
+    if (input.tagName === "SELECT") input.onchange = apply;
+    else input.oninput = apply;
+  });
+  table.querySelectorAll("th[data-sort]").forEach(th => {
+    th.classList.add("sortable");
+    th.onclick = () => {
+      setSort(th.getAttribute("data-sort"));
+      filters.page = 0;
+      refresh();
+    };
+  });
+
+  body.append(controls, table, pager);
+  refresh();
 }
 
 function openStatsHelpModal() {
@@ -882,6 +1156,536 @@ careerAvgScore = sum(score * games) / totalGames</pre>
   modal.classList.remove("hidden");
 }
 
+/* =========================
+   INJURIES
+   ========================= */
+const ROOKIE_AGE = 20;
+const SEASON_MONTHS = [
+  { name: "Oct", month: 10, offset: 0 },
+  { name: "Nov", month: 11, offset: 0 },
+  { name: "Dec", month: 12, offset: 0 },
+  { name: "Jan", month: 1, offset: 1 },
+  { name: "Feb", month: 2, offset: 1 },
+  { name: "Mar", month: 3, offset: 1 },
+  { name: "Apr", month: 4, offset: 1 }
+];
+
+// games: [min, max] missed (null = rest of the season); dent: permanent fraction lost from base stats
+const INJURY_TYPES = [
+  { type: "Ankle sprain", severity: "minor", games: [2, 8], weight: 30, dent: 0 },
+  { type: "Hamstring strain", severity: "minor", games: [4, 12], weight: 22, dent: 0 },
+  { type: "Back spasms", severity: "minor", games: [2, 6], weight: 12, dent: 0 },
+  { type: "Knee sprain", severity: "moderate", games: [8, 20], weight: 14, dent: 0 },
+  { type: "Broken hand", severity: "moderate", games: [15, 28], weight: 8, dent: 0 },
+  { type: "Torn meniscus", severity: "major", games: [20, 45], weight: 6, dent: 0.03 },
+  { type: "Foot stress fracture", severity: "major", games: [30, 55], weight: 4, dent: 0.04 },
+  { type: "Torn ACL", severity: "season-ending", games: null, weight: 2, dent: 0.08 },
+  { type: "Ruptured Achilles", severity: "season-ending", games: null, weight: 2, dent: 0.1 }
+];
+
+// Chance of at least one injury this season: older, heavier-worked and less athletic players break down more.
+function injuryChance(age, games, ath) {
+  const ageRisk = Math.max(0, age - 27) * 0.035;
+  const workload = clamp01(games / 82) * 0.2;
+  const athRisk = -clamp(num(ath), -1, 1.5) * 0.08;
+  return clamp(0.12 + ageRisk + workload + athRisk, 0.05, 0.75);
+}
+
+function pickInjuryType(rng, age) {
+  // severe injuries get likelier past 28
+  const ageScale = 1 + Math.max(0, age - 28) * 0.2;
+  const weights = INJURY_TYPES.map(t => t.dent > 0 ? t.weight * ageScale : t.weight);
+  let roll = rng() * weights.reduce((a, b) => a + b, 0);
+  for (let i = 0; i < INJURY_TYPES.length; i++) {
+    roll -= weights[i];
+    if (roll <= 0) return INJURY_TYPES[i];
+  }
+  return INJURY_TYPES[0];
+}
+
+function injuryDate(rng, year) {
+  const m = SEASON_MONTHS[Math.floor(rng() * SEASON_MONTHS.length)];
+  const day = 1 + Math.floor(rng() * 28);
+  return {
+    label: `${m.name} ${2023 + year + m.offset}`,
+    date: `${2023 + year + m.offset}-${String(m.month).padStart(2, "0")}-${String(day).padStart(2, "0")}`,
+    progress: (SEASON_MONTHS.indexOf(m) * 28 + day - 1) / (SEASON_MONTHS.length * 28)
+  };
+}
+
+// Up to two injuries per season; games missed never exceed the games left on the schedule.
+function rollSeasonInjuries(rng, year, games, ath) {
+  const age = ROOKIE_AGE + year - 1;
+  const rolled = [];
+  let chance = injuryChance(age, games, ath);
+  for (let i = 0; i < 2 && rng() < chance; i++) {
+    const kind = pickInjuryType(rng, age);
+    const when = injuryDate(rng, year);
+    const wanted = kind.games
+      ? kind.games[0] + Math.floor(rng() * (kind.games[1] - kind.games[0] + 1))
+      : Math.ceil(games * (1 - when.progress));
+    rolled.push({ kind, when, wanted });
+    chance /= 3;
+  }
+  rolled.sort((a, b) => a.when.progress - b.when.progress);
+
+  const injuries = [];
+  let available = games;
+  for (const { kind, when, wanted } of rolled) {
+    const gamesMissed = Math.min(available, wanted);
+    available -= gamesMissed;
+    injuries.push({
+      type: kind.type,
+      severity: kind.severity,
+      gamesMissed,
+      dent: kind.dent,
+      age,
+      date: when.date,
+      label: when.label
+    });
+    if (!kind.games) break;
+  }
+  return injuries;
+}
+
+function applyInjuryDent(base, dent) {
+  ["pts", "ast", "reb", "stl", "blk"].forEach(k => {
+    base[k] *= 1 - dent;
+  });
+  base.ath -= dent * 2;
+}
+
+function formatInjury(inj) {
+  const lasting = inj.dent > 0 ? ", lasting decline" : "";
+  return `${inj.type} (${inj.label}, ${inj.severity}, ${inj.gamesMissed} games missed${lasting})`;
+}
+
+/* =========================
+   LEAGUE ROSTERS
+   ========================= */
+const ROSTER_TARGET = 14;
+const ROSTER_MIN = 13;
+const DEPARTURE_CHANCE = 0.1;
+
+function baseScore(b) {
+  return b.pts * 0.55 + b.reb * 0.30 + b.ast * 0.25 + b.per * 0.15;
+}
+
+function toLeaguePlayer(row) {
+  const p = statView(row);
+  const ath = computeAthleticism({
+    per: p.PER, fg: p["FG%"], reb: p.TRB, g: p.G, height: p.Height
+  });
+  return {
+    name: p.Name,
+    group: getPositionGroup(p.Position),
+    team: null,
+    tenure: 0,
+    base: {
+      pts: num(p.PTS),
+      ast: num(p.AST),
+      reb: num(p.TRB),
+      stl: num(p.STL),
+      blk: num(p.BLK),
+      per: num(p.PER),
+      fg: num(p["FG%"]),
+      ath
+    }
+  };
+}
+
+/**
+ * Deal the league out one position group at a time, strongest first in snake order,
+ * so roster sizes, guard/forward/center counts and talent stay within one of each other.
+ */
+function buildLeagueRosters(league, teams) {
+  const size = Object.fromEntries(teams.map(t => [t, 0]));
+  const strength = Object.fromEntries(teams.map(t => [t, 0]));
+  ["G", "F", "C"].forEach(g => {
+    // smallest, then weakest, rosters pick first
+    const order = teams.slice().sort((a, b) => size[a] - size[b] || strength[a] - strength[b]);
+    const group = league.filter(pl => pl.group === g).sort((a, b) => baseScore(b.base) - baseScore(a.base));
+    const full = group.length - (group.length % order.length);
+    group.forEach((pl, i) => {
+      const round = Math.floor(i / order.length);
+      const slot = i % order.length;
+      // leftovers go to the smallest rosters
+      pl.team = i < full && round % 2 === 1 ? order[order.length - 1 - slot] : order[slot];
+      size[pl.team]++;
+      strength[pl.team] += baseScore(pl.base);
+    });
+  });
+}
+
+// Groups to look in for a replacement, nearest first: forwards can cover either end, guards and centers only forward.
+const REPLACEMENT_GROUPS = { G: ["G", "F", "C"], F: ["F", "G", "C"], C: ["C", "F", "G"] };
+
+// Offseason turnover: departing players are replaced from the unsampled pool, by the closest position left.
+function turnOverRosters(rng, league, reserve) {
+  league.forEach((pl, i) => {
+    pl.tenure++;
+    if (!reserve.length || rng() >= DEPARTURE_CHANCE + Math.max(0, pl.tenure - 8) * 0.05) return;
+    const groups = REPLACEMENT_GROUPS[pl.group] || REPLACEMENT_GROUPS.F;
+    const idx = groups.map(g => reserve.findIndex(r => getPositionGroup(r.Position) === g)).find(at => at !== -1);
+    const incoming = toLeaguePlayer(reserve.splice(idx, 1)[0]);
+    incoming.team = pl.team;
+    league[i] = incoming;
+  });
+}
+
+/* =========================
+   DRAFT NIGHT
+   ========================= */
+const DRAFT_YEAR = 2024;
+const DRAFT_ROUNDS = 2;
+const LOTTERY_PICKS = 4;
+const LOTTERY_ODDS = [14, 14, 14, 12.5, 10.5, 9, 7.5, 6, 4.5, 3, 2, 1.5, 1, 0.5]; // % for the #1 pick, worst record first
+const SCOUTING_NOISE = 1.5;
+
+// One number for a prospect's whole profile, so picks and generated prospects rank on the same scale.
+function draftComposite({ pts, ast, reb, stl, blk, ath, height }) {
+  return pts * 0.55 + reb * 0.30 + ast * 0.25 + stl * 0.4 + blk * 0.4 + ath * 3 + (num(height) ? (height - 78) * 0.1 : 0);
+}
+
+function ordinalSuffix(n) {
+  const s = ["th", "st", "nd", "rd"];
+  const v = n % 100;
+  return n + (s[(v - 20) % 10] || s[v] || s[0]);
+}
+
+/**
+ * Last season's records are rolled for every team; the teams the playoff bracket leaves out enter a weighted
+ * lottery for the top picks, everyone else picks in reverse order of record (round two
+ * skips the lottery).
+ */
+function runDraftLottery(rng, teams) {
+  const standings = shuffleInPlace(rng, teams.slice())
+    .map(team => ({ team, wins: clamp(Math.round(41 + randn(rng) * 45), 15, 67) }))
+    .sort((a, b) => a.wins - b.wins);
+  const lotteryTeams = standings.slice(0, Math.max(0, standings.length - playoffTeamCount(teams)));
+  const odds = lotteryTeams.map((t, i) => LOTTERY_ODDS[Math.min(i, LOTTERY_ODDS.length - 1)]);
+  const oddsTotal = odds.reduce((a, b) => a + b, 0);
+
+  const remaining = lotteryTeams.map((t, i) => ({ ...t, odds: (odds[i] / oddsTotal) * 100 }));
+  const winners = [];
+  while (winners.length < LOTTERY_PICKS && remaining.length) {
+    let roll = rng() * remaining.reduce((a, t) => a + t.odds, 0);
+    const idx = Math.max(0, remaining.findIndex(t => (roll -= t.odds) <= 0));
+    winners.push(remaining.splice(idx, 1)[0]);
+  }
+  const lottery = [...winners, ...remaining].map((t, i) => ({ ...t, pick: i + 1 }));
+  const firstRound = [...lottery.map(t => t.team), ...standings.slice(lotteryTeams.length).map(t => t.team)];
+  return { standings, lottery, firstRound };
+}
+
+/**
+ * Rank the custom player among a draft class sampled from the era's unused players,
+ * then hand them to the team holding that pick. Only an undrafted player chooses a team:
+ * the preferred one if set, otherwise a random one.
+ */
+function runDraftNight(rng, teams, reserve, prospect, preferredTeam) {
+  const { standings, lottery, firstRound } = runDraftLottery(rng, teams);
+  const picks = DRAFT_ROUNDS * teams.length;
+  const order = Array.from({ length: DRAFT_ROUNDS }, (_, r) =>
+    r === 0 ? firstRound : standings.map(t => t.team)
+  ).flat();
+
+  const classmates = shuffleInPlace(rng, reserve.slice()).slice(0, picks + 10).map(row => {
+    const p = toLeaguePlayer(row);
+    return draftComposite({ ...p.base, height: num(row.Height) }) + randn(rng) * SCOUTING_NOISE;
+  });
+  const composite = draftComposite(prospect) + randn(rng) * SCOUTING_NOISE;
+  const overall = classmates.filter(c => c > composite).length + 1;
+
+  const drafted = overall <= picks;
+  const draftedBy = drafted ? order[overall - 1] : null;
+  const team = draftedBy || preferredTeam || teams[Math.floor(rng() * teams.length)];
+  return {
+    year: DRAFT_YEAR,
+    drafted,
+    overall: drafted ? overall : null,
+    round: drafted ? Math.ceil(overall / teams.length) : null,
+    pick: drafted ? ((overall - 1) % teams.length) + 1 : null,
+    draftedBy,
+    team,
+    classSize: classmates.length + 1,
+    lottery
+  };
+}
+
+function draftSummary(draft) {
+  return {
+    year: draft.year,
+    round: draft.round,
+    pick: draft.pick,
+    overall: draft.overall,
+    team: draft.draftedBy,
+    signedWith: draft.drafted ? null : draft.team
+  };
+}
+
+function formatDraftPick(draft) {
+  if (!draft.drafted) return `Went undrafted in the ${draft.year} NBA Draft`;
+  return `Selected ${ordinalSuffix(draft.overall)} overall (round ${draft.round}, pick ${draft.pick}) in the ${draft.year} NBA Draft by the ${draft.draftedBy}`;
+}
+
+// First-rounders get a 4-year scale deal that shrinks with the pick; everyone else a 2-year minimum.
+function rookieContract(draft, teamCount) {
+  if (draft.round !== 1) return { years: 2, salary: MIN_SALARY };
+  return { years: 4, salary: Math.max(2, 12 * (1 - (draft.pick - 1) / teamCount)) };
+}
+
+/* =========================
+   CONTRACTS + OFFSEASON MOVES
+   ========================= */
+const MIN_SALARY = 1.5; // $M per season
+const MAX_SALARY = 50;
+const FREE_AGENT_SUITORS = 4;
+
+function offseasonDate(year, month, day) {
+  return `${2024 + year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+// Where the player would slot on a team, judged by last season's scores.
+function rosterRole(seasonPlayers, team, score) {
+  const ahead = seasonPlayers.filter(pl => !pl.isCustom && pl.team === team && pl.score > score).length;
+  if (ahead === 0) return { label: "franchise player", value: 1 };
+  if (ahead < 5) return { label: "starter", value: 0.65 };
+  return { label: "bench", value: 0.3 };
+}
+
+// Market value from league rank, with an age discount past 31.
+function marketSalary(seasonPlayers, score, age) {
+  const below = seasonPlayers.filter(pl => pl.score < score).length / Math.max(1, seasonPlayers.length - 1);
+  const ageCut = clamp(1 - Math.max(0, age - 31) * 0.08, 0.4, 1);
+  return Math.max(MIN_SALARY, (MIN_SALARY + (MAX_SALARY - MIN_SALARY) * Math.pow(below, 3)) * ageCut);
+}
+
+function contractLength(rng, age) {
+  if (age <= 26) return 3 + Math.floor(rng() * 3);
+  if (age <= 30) return 2 + Math.floor(rng() * 3);
+  return 1 + Math.floor(rng() * 2);
+}
+
+function formatSalary(m) {
+  return `$${m.toFixed(1)}M`;
+}
+
+/**
+ * Offseason after season `year`: an expiring deal sends the player to free agency,
+ * otherwise there is a small chance of a trade. Returns the new team, contract and moves.
+ */
+function runOffseason(rng, { year, team, contract, score, seasonPlayers, teamWins }) {
+  const age = ROOKIE_AGE + year - 1;
+  const winsOf = t => teamWins[t] ?? 20;
+  const others = shuffleInPlace(rng, Object.keys(teamWins).filter(t => t !== team));
+  const moves = [];
+
+  if (contract.yearsLeft <= 1) {
+    const value = marketSalary(seasonPlayers, score, age + 1);
+    const offers = [team, ...others.slice(0, FREE_AGENT_SUITORS)].map(t => ({
+      team: t,
+      wins: winsOf(t),
+      role: rosterRole(seasonPlayers, t, score),
+      // incumbents can pay a little over the market
+      salary: Math.min(MAX_SALARY, value * (0.85 + rng() * 0.25) * (t === team ? 1.05 : 1))
+    }));
+    const topSalary = Math.max(...offers.map(o => o.salary));
+    offers.forEach(o => {
+      o.appeal = 0.4 * clamp01((o.wins - 20) / 40) + 0.3 * o.role.value + 0.3 * (o.salary / topSalary) +
+        (o.team === team ? 0.05 : 0);
+    });
+    const best = offers.sort((a, b) => b.appeal - a.appeal)[0];
+    const years = contractLength(rng, age + 1);
+    const next = { years, yearsLeft: years, salary: best.salary };
+    const terms = `${years} ${years === 1 ? "year" : "years"}, ${formatSalary(best.salary)} per season, as ${best.role.label}`;
+    moves.push(best.team === team
+      ? { type: "Re-signed", date: offseasonDate(year, 7, 1 + Math.floor(rng() * 10)), from: team, to: team, details: `Re-signed with the ${team}: ${terms}` }
+      : { type: "Free Agency", date: offseasonDate(year, 7, 1 + Math.floor(rng() * 10)), from: team, to: best.team, details: `Signed with the ${best.team} in free agency: ${terms} (${best.wins} wins last season)` });
+    return { team: best.team, contract: next, moves };
+  }
+
+  // rebuilding teams sell, ageing players get moved
+  const tradeChance = 0.06 + (winsOf(team) < 35 ? 0.06 : 0) + (age >= 30 ? 0.04 : 0);
+  const next = { ...contract, yearsLeft: contract.yearsLeft - 1 };
+  if (others.length && rng() < tradeChance) {
+    // the strongest of three interested teams makes the deal
+    const to = others.slice(0, 3).sort((a, b) => winsOf(b) - winsOf(a))[0];
+    moves.push({
+      type: "Trade",
+      date: offseasonDate(year, 6 + Math.floor(rng() * 3), 1 + Math.floor(rng() * 28)),
+      from: team,
+      to,
+      details: `Traded from the ${team} to the ${to} (${next.yearsLeft} ${next.yearsLeft === 1 ? "year" : "years"} left at ${formatSalary(next.salary)})`
+    });
+    return { team: to, contract: next, moves };
+  }
+  return { team, contract: next, moves };
+}
+
+/* =========================
+   PLAYOFFS
+   ========================= */
+const CONFERENCES = ["East", "West"];
+const PLAYOFF_SEEDS = 8; // per conference
+const ROTATION_SIZE = 10; // players counted toward team strength
+const PLAYOFF_SPREAD = 14; // a ~15-point team-score gap makes a game about 3-to-1
+const PLAYOFF_HOME_EDGE = 0.03;
+const SERIES_HOME = [true, true, false, false, true, false, true]; // 2-2-1-1-1, from the higher seed's side
+const PLAYOFF_ROUNDS = ["First Round", "Conference Semifinals", "Conference Finals", "Finals"];
+const ROUND_END_DATES = ["05-02", "05-17", "05-31", "06-16"];
+
+// Split the league in two: the first half of the era's team list is the East.
+function assignConferences(teams) {
+  const half = Math.ceil(teams.length / 2);
+  return Object.fromEntries(teams.map((t, i) => [t, i < half ? "East" : "West"]));
+}
+
+// Largest bracket a conference of `count` teams can fill, up to PLAYOFF_SEEDS.
+function conferenceBracketSize(count) {
+  if (count < 1) return 0;
+  let size = 1;
+  while (size * 2 <= Math.min(PLAYOFF_SEEDS, count)) size *= 2;
+  return size;
+}
+
+function playoffTeamCount(teams) {
+  const conferenceOf = assignConferences(teams);
+  return CONFERENCES.reduce((total, conf) =>
+    total + conferenceBracketSize(teams.filter(t => conferenceOf[t] === conf).length), 0);
+}
+
+// [1, 8, 4, 5, 2, 7, 3, 6] for 8 seeds: neighbours meet, and 1 and 2 can only meet in the last round.
+function bracketOrder(n) {
+  let order = [1];
+  while (order.length < n) {
+    const size = order.length * 2;
+    order = order.flatMap(s => [s, size + 1 - s]);
+  }
+  return order;
+}
+
+function playSeries(rng, high, low, strength) {
+  const edge = 1 / (1 + Math.exp(-((strength[high.team] || 0) - (strength[low.team] || 0)) / PLAYOFF_SPREAD));
+  const games = [];
+  let highWins = 0;
+  let lowWins = 0;
+  for (let g = 0; highWins < 4 && lowWins < 4; g++) {
+    const p = clamp(edge + (SERIES_HOME[g] ? PLAYOFF_HOME_EDGE : -PLAYOFF_HOME_EDGE), 0.02, 0.98);
+    const highWon = rng() < p;
+    if (highWon) highWins++;
+    else lowWins++;
+    games.push(highWon ? high.team : low.team);
+  }
+  const highTook = highWins === 4;
+  return {
+    high,
+    low,
+    winner: highTook ? high.team : low.team,
+    loser: highTook ? low.team : high.team,
+    score: highTook ? `${highWins}-${lowWins}` : `${lowWins}-${highWins}`,
+    games
+  };
+}
+
+/**
+ * Seed each conference by wins (team score breaks ties), then play best-of-seven rounds
+ * down to a Finals between the two conference champions.
+ */
+function runCareerPlayoffs(rng, teams, teamWins, strength) {
+  const conferenceOf = assignConferences(teams);
+  const rankTeams = list => list.slice().sort((a, b) =>
+    (teamWins[b] || 0) - (teamWins[a] || 0) || (strength[b] || 0) - (strength[a] || 0)
+  );
+  const seeds = {};
+  const rounds = PLAYOFF_ROUNDS.map(name => ({ name, series: [] }));
+  const finalists = [];
+
+  CONFERENCES.forEach(conf => {
+    const ranked = rankTeams(teams.filter(t => conferenceOf[t] === conf));
+    const size = conferenceBracketSize(ranked.length);
+    seeds[conf] = ranked.slice(0, size).map((team, i) => ({ team, seed: i + 1, conference: conf }));
+    if (!size) return;
+
+    let alive = bracketOrder(size).map(s => seeds[conf][s - 1]);
+    const firstRound = PLAYOFF_ROUNDS.length - 1 - Math.log2(size);
+    for (let r = firstRound; alive.length > 1; r++) {
+      const next = [];
+      for (let i = 0; i < alive.length; i += 2) {
+        const [high, low] = alive[i].seed < alive[i + 1].seed ? [alive[i], alive[i + 1]] : [alive[i + 1], alive[i]];
+        const series = { conference: conf, ...playSeries(rng, high, low, strength) };
+        rounds[r].series.push(series);
+        next.push(series.winner === high.team ? high : low);
+      }
+      alive = next;
+    }
+    finalists.push(alive[0]);
+  });
+
+  // a league with an empty conference crowns the other conference's champion without a Finals
+  if (finalists.length < 2) {
+    return {
+      conferenceOf,
+      seeds,
+      rounds: rounds.filter(r => r.series.length),
+      champion: finalists.length ? finalists[0].team : null,
+      runnerUp: null
+    };
+  }
+
+  // home court in the Finals goes to the better record
+  const [high, low] = rankTeams(finalists.map(f => f.team))[0] === finalists[0].team
+    ? finalists
+    : [finalists[1], finalists[0]];
+  const finals = playSeries(rng, high, low, strength);
+  rounds[PLAYOFF_ROUNDS.length - 1].series.push({ conference: null, ...finals });
+
+  return {
+    conferenceOf,
+    seeds,
+    rounds: rounds.filter(r => r.series.length),
+    champion: finals.winner,
+    runnerUp: finals.loser
+  };
+}
+
+// The custom team's run: seed, every series it played, and how far it got.
+function teamPlayoffRun(playoffs, team, year) {
+  const conference = playoffs.conferenceOf[team];
+  const seeded = (playoffs.seeds[conference] || []).find(s => s.team === team);
+  if (!seeded) return { conference, seed: null, result: "Missed playoffs", series: [] };
+
+  const series = [];
+  playoffs.rounds.forEach(round => {
+    const s = round.series.find(x => x.high.team === team || x.low.team === team);
+    if (!s) return;
+    const opponent = s.high.team === team ? s.low : s.high;
+    const roundIdx = PLAYOFF_ROUNDS.indexOf(round.name);
+    series.push({
+      round: round.name,
+      opponent: opponent.team,
+      opponentSeed: opponent.seed,
+      won: s.winner === team,
+      score: s.winner === team ? s.score : s.score.split("-").reverse().join("-"),
+      date: `${2024 + year}-${ROUND_END_DATES[roundIdx]}`
+    });
+  });
+  const last = series[series.length - 1];
+  let result;
+  if (playoffs.champion === team) result = last ? "Won the Finals" : "Won the title unopposed";
+  else if (!last) result = "Played no playoff series";
+  else result = last.round === "Finals" ? "Lost in the Finals" : `Lost in the ${last.round}`;
+  return { conference, seed: seeded.seed, result, series };
+}
+
+function formatPlayoffRun(run) {
+  if (!run.seed) return `Playoffs: missed (${run.conference})`;
+  const steps = run.series.map(s =>
+    `${s.won ? "beat" : "lost to"} ${s.opponent} ${s.score} (${s.round})`
+  );
+  return `Playoffs: #${run.seed} seed in the ${run.conference} - ${steps.join(", ")}`;
+}
+
 /* =========================
    CAREER SIMULATION
    ========================= */
@@ -902,7 +1706,12 @@ function simulateCareer(customName, customPosition, peak, teamOverride = null) {
   const teams = pickTeamsForEra(eraFilter).slice();
   const seed = hashSeed(buildSeedString("simulateCareer"));
   const rng = rngFromSeed(seed);
-  const leagueSize = 150;
+  // separate stream so injuries don't reshuffle the stat rolls
+  const injuryRng = rngFromSeed(hashSeed(`${seed}:injuries`));
+  const offseasonRng = rngFromSeed(hashSeed(`${seed}:offseason`));
+  const rosterRng = rngFromSeed(hashSeed(`${seed}:rosters`));
+  const playoffRng = rngFromSeed(hashSeed(`${seed}:playoffs`));
+  const draftRng = rngFromSeed(hashSeed(`${seed}:draft`));
   const totalGames = Math.max(0, Math.round(num(peak.g)));
   const totalYears = clamp(Math.round(totalGames / 82) || 1, 1, 20);
   const baseGames = Math.floor(totalGames / totalYears);
@@ -911,50 +1720,39 @@ function simulateCareer(customName, customPosition, peak, teamOverride = null) {
     baseGames + (i < remainderGames ? 1 : 0)
   );
 
-  // build league players sampled from era
-  const pool = players.filter(p => inEra(p));
-  const league = shuffleInPlace(rng, pool.slice()).slice(0, leagueSize).map(p => {
-    const ath = computeAthleticism({
-      per: p.PER, fg: p["FG%"], reb: p.TRB, g: p.G, height: p.Height
-    });
-    return {
-      name: p.Name,
-      team: teams[Math.floor(rng() * teams.length)],
-      base: {
-        pts: num(p.PTS),
-        ast: num(p.AST),
-        reb: num(p.TRB),
-        stl: num(p.STL),
-        blk: num(p.BLK),
-        per: num(p.PER),
-        fg: num(p["FG%"]),
-        ath
-      }
-    };
-  });
+  // build league players sampled from era: even rosters, with the rest held back as replacements
+  const pool = shuffleInPlace(rng, players.filter(p => inEra(p)));
+  if (pool.length < ROSTER_MIN * 2) throw new Error("This era has too few players to fill a league.");
+  // thin eras field fewer teams rather than short rosters
+  teams.splice(Math.floor(pool.length / ROSTER_MIN));
+  const rosterSize = Math.min(ROSTER_TARGET, Math.floor(pool.length / teams.length));
+  const league = pool.splice(0, rosterSize * teams.length).map(toLeaguePlayer);
+  buildLeagueRosters(league, teams);
 
-  // custom player in league
-  const customTeam = teamOverride && teams.includes(teamOverride)
-    ? teamOverride
-    : teams[Math.floor(rng() * teams.length)];
+  // custom player in league, arriving through the draft
   const posAdj = positionAdjustments(customPosition);
+  const prospect = {
+    pts: peak.pts + posAdj.pts,
+    ast: peak.ast + posAdj.ast,
+    reb: peak.reb + posAdj.reb,
+    stl: peak.stl + posAdj.stl,
+    blk: peak.blk + posAdj.blk,
+    ath: peak.ath,
+    height: peak.height
+  };
+  const preferredTeam = teamOverride && teams.includes(teamOverride) ? teamOverride : null;
+  const draft = runDraftNight(draftRng, teams, pool, prospect, preferredTeam);
   const custom = {
     name: customName,
-    team: customTeam,
+    team: draft.team,
     isCustom: true,
-    base: {
-      pts: peak.pts + posAdj.pts,
-      ast: peak.ast + posAdj.ast,
-      reb: peak.reb + posAdj.reb,
-      stl: peak.stl + posAdj.stl,
-      blk: peak.blk + posAdj.blk,
-      g: peak.g,
-      ath: peak.ath,
-      height: peak.height
-    }
+    base: { ...prospect, g: peak.g }
   };
 
   const seasons = [];
+  const transactions = [];
+  const rookieDeal = rookieContract(draft, teams.length);
+  let contract = { ...rookieDeal, yearsLeft: rookieDeal.years };
   let awards = { MVP: 0, ROY: 0, MIP: 0, AllPro: 0, Champs: 0, FinalsMVP: 0 };
 
   // rookies need improvement baseline
@@ -964,7 +1762,9 @@ function simulateCareer(customName, customPosition, peak, teamOverride = null) {
     const curve = careerFactorByYear(year, custom.base.g, totalYears);
     const yearVariance = clamp(0.95 + randn(rng) * 0.06, 0.85, 1.1);
     const factor = curve * yearVariance;
-    const games = gamesBySeason[year - 1] || 0;
+    const scheduledGames = gamesBySeason[year - 1] || 0;
+    const injuries = rollSeasonInjuries(injuryRng, year, scheduledGames, custom.base.ath);
+    const games = scheduledGames - injuries.reduce((a, inj) => a + inj.gamesMissed, 0);
 
     // simulate custom seasonal stats around selected career averages + curve
     const pts = clamp((custom.base.pts + randn(rng) * 1.8) * factor, 0, 45);
@@ -1033,17 +1833,17 @@ function simulateCareer(customName, customPosition, peak, teamOverride = null) {
       mip = improv[0];
     }
 
-    // championships: team points proxy
-    const teamTotals = {};
+    // regular season: team points proxy over each team's rotation, so roster size doesn't count
+    const teamScores = {};
     seasonPlayers.forEach(pl => {
-      teamTotals[pl.team] = (teamTotals[pl.team] || 0) + pl.score;
+      (teamScores[pl.team] = teamScores[pl.team] || []).push(pl.score);
+    });
+    const teamTotals = {};
+    Object.entries(teamScores).forEach(([team, scores]) => {
+      teamTotals[team] = scores.sort((a, b) => b - a).slice(0, ROTATION_SIZE).reduce((a, b) => a + b, 0);
     });
 
     const teamEntries = Object.entries(teamTotals).sort((a, b) => b[1] - a[1]);
-    const champTeam = teamEntries[0][0];
-    const champCandidates = seasonPlayers.filter(pl => pl.team === champTeam);
-    const finalsMVP = [...champCandidates].sort((a, b) => b.score - a.score)[0];
-
     const minScore = teamEntries[teamEntries.length - 1][1];
     const maxScore = teamEntries[0][1];
     const span = Math.max(1, maxScore - minScore);
@@ -1053,6 +1853,12 @@ function simulateCareer(customName, customPosition, peak, teamOverride = null) {
       teamWins[team] = Math.round(20 + pct * 40); // 20..60
     });
 
+    // championships: conference playoffs
+    const playoffs = runCareerPlayoffs(playoffRng, teams, teamWins, teamTotals);
+    const champTeam = playoffs.champion;
+    const champCandidates = seasonPlayers.filter(pl => pl.team === champTeam);
+    const finalsMVP = [...champCandidates].sort((a, b) => b.score - a.score)[0];
+
     // All-Pro proxy: top 15 PER
     const allPro = [...seasonPlayers].sort((a, b) => b.per - a.per).slice(0, 15).map(p => p.name);
 
@@ -1060,11 +1866,15 @@ function simulateCareer(customName, customPosition, peak, teamOverride = null) {
     if (mvp.name === custom.name) awards.MVP++;
     if (roy && roy.name === custom.name) awards.ROY++;
     if (mip && mip.name === custom.name) awards.MIP++;
-    if (finalsMVP.name === custom.name) awards.FinalsMVP++;
+    if (finalsMVP && finalsMVP.name === custom.name) awards.FinalsMVP++;
     if (champTeam === custom.team) awards.Champs++;
     if (allPro.includes(custom.name)) awards.AllPro++;
 
     lastYearScore = score;
+    // lasting damage shows up from next season on
+    injuries.forEach(inj => {
+      if (inj.dent > 0) applyInjuryDent(custom.base, inj.dent);
+    });
 
     seasons.push({
       year,
@@ -1073,7 +1883,14 @@ function simulateCareer(customName, customPosition, peak, teamOverride = null) {
         pts, ast, reb, stl, blk, per,
         team: custom.team,
         wins: teamWins[custom.team] || 0,
-        games
+        games,
+        injuries,
+        contract: {
+          salary: contract.salary,
+          year: contract.years - contract.yearsLeft + 1,
+          years: contract.years
+        },
+        playoffs: teamPlayoffRun(playoffs, custom.team, year)
       },
       leaderboards: { topPts, topAst, topReb, topPer },
       awards: {
@@ -1082,8 +1899,25 @@ function simulateCareer(customName, customPosition, peak, teamOverride = null) {
         MIP: mip,
         Champion: champTeam,
         FinalsMVP: finalsMVP
-      }
+      },
+      playoffs: {
+        seeds: playoffs.seeds,
+        rounds: playoffs.rounds,
+        runnerUp: playoffs.runnerUp
+      },
+      offseason: []
     });
+
+    if (year < totalYears) {
+      const move = runOffseason(offseasonRng, {
+        year, team: custom.team, contract, score, seasonPlayers, teamWins
+      });
+      custom.team = move.team;
+      contract = move.contract;
+      seasons[seasons.length - 1].offseason = move.moves;
+      transactions.push(...move.moves);
+      turnOverRosters(rosterRng, league, pool);
+    }
   }
 
   // Hall of Fame decision (simple):
@@ -1092,7 +1926,8 @@ function simulateCareer(customName, customPosition, peak, teamOverride = null) {
   const careerScores = seasons.map(s =>
     (s.custom.pts * 0.55 + s.custom.reb * 0.30 + s.custom.ast * 0.25 + s.custom.per * 0.15) * s.custom.games
   );
-  const totalPlayed = seasons.reduce((a, s) => a + s.custom.games, 0) || 1;
+  const gamesPlayed = seasons.reduce((a, s) => a + s.custom.games, 0);
+  const totalPlayed = gamesPlayed || 1;
   const careerAvgScore = careerScores.reduce((a, b) => a + b, 0) / totalPlayed;
   const hof =
     (awards.MVP >= 1 && careerAvgScore > 20) ||
@@ -1113,8 +1948,13 @@ function simulateCareer(customName, customPosition, peak, teamOverride = null) {
     hof,
     customName: custom.name,
     seed,
-    totalGames,
+    draft,
+    totalGames: gamesPlayed,
+    gamesMissed: totalGames - gamesPlayed,
+    injuries: seasons.flatMap(s => s.custom.injuries),
+    transactions,
     totalYears,
+    eraAdjusted: eraAdjust,
     advancedMetrics: {
       careerVarianceIndex: cvi,
       longevityScore: longevityScore,
@@ -1136,13 +1976,29 @@ function renderResults(output) {
   // Store for AI generation
   lastSimulationOutput = output;
 
-  let text = `=== CAREER SUMMARY ===\n`;
+  let text = "";
+  if (output.draft) {
+    const draft = output.draft;
+    text += `=== DRAFT NIGHT (${draft.year}) ===\n`;
+    if (draft.lottery.length) {
+      const top = draft.lottery.slice(0, LOTTERY_PICKS);
+      text += `Lottery: ${top.map(t => `${t.pick}. ${t.team} (${t.wins} wins, ${t.odds.toFixed(1)}% odds)`).join(" | ")}\n`;
+    }
+    text += `${formatDraftPick(draft)} (class of ${draft.classSize})\n`;
+    if (!draft.drafted) text += `Signed with the ${draft.team} as an undrafted free agent\n`;
+    text += `\n`;
+  }
+
+  text += `=== CAREER SUMMARY ===\n`;
+  if (output.eraAdjusted) text += `Stats: era-adjusted to each player's debut decade\n`;
   text += `MVP: ${output.awards.MVP}\n`;
   text += `ROY: ${output.awards.ROY}\n`;
   text += `MIP: ${output.awards.MIP}\n`;
   text += `All-Pro (Top15 PER): ${output.awards.AllPro}\n`;
   text += `Championships: ${output.awards.Champs}\n`;
   text += `Finals MVP: ${output.awards.FinalsMVP}\n`;
+  const runs = output.seasons.map(s => s.custom.playoffs).filter(run => run.seed);
+  text += `Playoff Appearances: ${runs.length} | Finals Appearances: ${runs.filter(run => run.series.some(x => x.round === "Finals")).length}\n`;
   text += `Hall of Fame: ${output.hof ? "YES" : "NO"}\n\n`;
   const totalGames = output.seasons.reduce((a, s) => a + s.custom.games, 0) || 1;
   const avgPts = output.seasons.reduce((a, s) => a + s.custom.pts * s.custom.games, 0) / totalGames;
@@ -1151,7 +2007,10 @@ function renderResults(output) {
   const avgStl = output.seasons.reduce((a, s) => a + s.custom.stl * s.custom.games, 0) / totalGames;
   const avgBlk = output.seasons.reduce((a, s) => a + s.custom.blk * s.custom.games, 0) / totalGames;
   const avgPer = output.seasons.reduce((a, s) => a + s.custom.per * s.custom.games, 0) / totalGames;
-  text += `Career Length: ${output.totalYears} seasons (${output.totalGames} games)\n`;
+  const missed = output.gamesMissed ? `, ${output.gamesMissed} missed to injury` : "";
+  text += `Career Length: ${output.totalYears} seasons (${output.totalGames} games${missed})\n`;
+  const stops = output.seasons.map(s => s.custom.team).filter((t, i, arr) => i === 0 || t !== arr[i - 1]);
+  text += `Teams: ${stops.join(" → ")}\n`;
   text += `Career Averages (Years ${output.totalYears}): PTS ${avgPts.toFixed(1)} | AST ${avgAst.toFixed(1)} | REB ${avgReb.toFixed(1)} | STL ${avgStl.toFixed(1)} | BLK ${avgBlk.toFixed(1)} | PER ${avgPer.toFixed(1)}\n\n`;
 
   // Advanced Metrics
@@ -1178,6 +2037,16 @@ function renderResults(output) {
     text += `• Playing Style: Steady excellence—consistent performance throughout career.\n`;
   }
 
+  const lasting = output.injuries.filter(inj => inj.dent > 0);
+  if (lasting.length) {
+    text += `• Health: ${lasting.map(inj => `${inj.type} at age ${inj.age}`).join(", ")} left a lasting mark on the career.\n`;
+  } else if (output.injuries.length) {
+    const count = output.injuries.length;
+    text += `• Health: ${count} ${count === 1 ? "injury" : "injuries"}, none with lasting damage.\n`;
+  } else {
+    text += `• Health: Never missed a game to injury.\n`;
+  }
+
   if (output.advancedMetrics.teamImpactScore > avgPts * 0.6) {
     text += `• Team Context: High contextual impact—thrived on winning teams.\n`;
   } else {
@@ -1188,12 +2057,23 @@ function renderResults(output) {
     text += `\n`;
     text += `--- Season ${s.year} (${s.custom.team}) ---\n`;
     text += `${s.custom.name} Stats: PTS ${s.custom.pts.toFixed(1)} | AST ${s.custom.ast.toFixed(1)} | REB ${s.custom.reb.toFixed(1)} | STL ${s.custom.stl.toFixed(1)} | BLK ${s.custom.blk.toFixed(1)} | PER ${s.custom.per.toFixed(1)} | GP ${s.custom.games}\n`;
+    s.custom.injuries.forEach(inj => {
+      text += `Injury: ${formatInjury(inj)}\n`;
+    });
     text += `Team Wins: ${s.custom.wins}\n`;
+    text += `Contract: ${formatSalary(s.custom.contract.salary)} (year ${s.custom.contract.year} of ${s.custom.contract.years})\n`;
     text += `MVP: ${s.awards.MVP.name} (${s.awards.MVP.team})\n`;
     if (s.awards.ROY) text += `ROY: ${s.awards.ROY.name} (${s.awards.ROY.team})\n`;
     if (s.awards.MIP) text += `MIP: ${s.awards.MIP.name} (${s.awards.MIP.team})\n`;
-    text += `Champion: ${s.awards.Champion}\n`;
-    text += `Finals MVP: ${s.awards.FinalsMVP.name} (${s.awards.FinalsMVP.team})\n\n`;
+    text += `${formatPlayoffRun(s.custom.playoffs)}\n`;
+    const finals = (s.playoffs.rounds.find(r => r.name === "Finals") || { series: [] }).series[0];
+    if (finals) text += `Champion: ${s.awards.Champion} (beat ${finals.loser} ${finals.score} in the Finals)\n`;
+    else if (s.awards.Champion) text += `Champion: ${s.awards.Champion} (no Finals played)\n`;
+    if (s.awards.FinalsMVP) text += `Finals MVP: ${s.awards.FinalsMVP.name} (${s.awards.FinalsMVP.team})\n`;
+    (s.offseason || []).forEach(move => {
+      text += `Offseason: ${move.details}\n`;
+    });
+    text += `\n`;
 
     text += `Top 10 PTS:\n`;
     s.leaderboards.topPts.forEach((p, idx) => {
@@ -1277,6 +2157,8 @@ async function generateAIBiography(output, provider) {
   aiModal.open(provider, careerPayload, cacheKey);
 }
 
+const MOVE_EVENTS = { "Trade": "Traded", "Free Agency": "Signed in Free Agency", "Re-signed": "Re-signed" };
+
 function buildCareerPayloadFromSim(output, playerName, position) {
   const timeline = [];
   const teams = new Set();
@@ -1284,6 +2166,8 @@ function buildCareerPayloadFromSim(output, playerName, position) {
   let careerHighAst = 0;
   let careerHighReb = 0;
   const awards = [];
+  const injuries = [];
+  const playoffRuns = [];
 
   // Build timeline and extract stats
   output.seasons.forEach((season, idx) => {
@@ -1294,12 +2178,21 @@ function buildCareerPayloadFromSim(output, playerName, position) {
 
     // Track awards
     if (idx === 0) {
+      const draft = output.draft;
       timeline.push({
         date: '2024-06-26',
-        event: 'Drafted',
-        details: `Selected in the 2024 NBA Draft`
+        event: draft && !draft.drafted ? 'Undrafted' : 'Drafted',
+        details: draft ? formatDraftPick(draft) : `Selected in the 2024 NBA Draft`
       });
 
+      if (draft && !draft.drafted) {
+        timeline.push({
+          date: '2024-07-01',
+          event: 'Signed as Undrafted Free Agent',
+          details: `Signed with the ${draft.team}`
+        });
+      }
+
       timeline.push({
         date: '2024-10-01',
         event: 'NBA Debut',
@@ -1307,10 +2200,10 @@ function buildCareerPayloadFromSim(output, playerName, position) {
       });
     }
 
-    // Add major awards as events
+    // Season idx runs from October of 2024 + idx to June of 2025 + idx, so its awards and title are dated in the later year
     if (season.awards && season.awards.MVP && season.awards.MVP.name === playerName) {
       timeline.push({
-        date: `${2024 + idx}-04-01`,
+        date: `${2025 + idx}-04-01`,
         event: 'MVP Award',
         details: `Won the MVP award`
       });
@@ -1318,21 +2211,69 @@ function buildCareerPayloadFromSim(output, playerName, position) {
 
     if (season.awards && season.awards.ROY && season.awards.ROY.name === playerName) {
       timeline.push({
-        date: `${2024 + idx}-05-01`,
+        date: `${2025 + idx}-05-01`,
         event: 'Rookie of the Year',
         details: `Won the Rookie of the Year award`
       });
     }
 
+    const run = season.custom.playoffs;
+    if (run && run.seed) {
+      playoffRuns.push({
+        season: `${2024 + idx}-${String(2025 + idx).slice(2)}`,
+        team: season.custom.team,
+        conference: run.conference,
+        seed: run.seed,
+        result: run.result
+      });
+      const last = run.series[run.series.length - 1];
+      if (last && !last.won) {
+        timeline.push({
+          date: last.date,
+          event: last.round === 'Finals' ? 'NBA Finals' : 'Playoff Elimination',
+          details: `Lost to the ${last.opponent} ${last.score} in the ${last.round} as the #${run.seed} seed in the ${run.conference}`
+        });
+      }
+    }
+
     if (season.custom.team === season.awards.Champion) {
+      const finals = run && run.series.find(s => s.round === 'Finals');
       timeline.push({
-        date: `${2024 + idx}-06-01`,
+        date: finals ? finals.date : `${2025 + idx}-06-01`,
         event: 'Championship',
-        details: `Won NBA championship with ${season.custom.team}`
+        details: finals
+          ? `Won NBA championship with ${season.custom.team}, beating the ${finals.opponent} ${finals.score} in the Finals`
+          : `Won NBA championship with ${season.custom.team}`
       });
     }
+
+    (season.custom.injuries || []).forEach(inj => {
+      injuries.push({
+        date: inj.date,
+        injury: inj.type,
+        severity: inj.severity,
+        gamesMissed: inj.gamesMissed,
+        lastingDecline: inj.dent > 0
+      });
+      timeline.push({
+        date: inj.date,
+        event: 'Injury',
+        details: `${inj.type} (${inj.severity}), missed ${inj.gamesMissed} games`
+      });
+    });
+
+    (season.offseason || []).forEach(move => {
+      timeline.push({
+        date: move.date,
+        event: MOVE_EVENTS[move.type] || move.type,
+        details: move.details
+      });
+    });
   });
 
+  // seasons run October to June, so order everything by date
+  timeline.sort((a, b) => a.date.localeCompare(b.date));
+
   return {
     player: {
       fullName: playerName,
@@ -1344,6 +2285,7 @@ function buildCareerPayloadFromSim(output, playerName, position) {
     },
     careerTimeline: timeline,
     careerStats: {
+      draft: output.draft ? draftSummary(output.draft) : null,
       seasons: output.totalYears,
       teams: Array.from(teams),
       careerHighPoints: Math.round(careerHighPts),
@@ -1354,7 +2296,8 @@ function buildCareerPayloadFromSim(output, playerName, position) {
         `${output.awards.AllPro} All-Pro Selections`,
         `${output.awards.Champs} Championships`
       ],
-      injuries: []
+      playoffRuns,
+      injuries
     },
     modeContext: {
       gameMode: 'career',
@@ -1380,6 +2323,10 @@ document.addEventListener("DOMContentLoaded", async () => {
     eraFilter = e.target.value;
   };
 
+  document.getElementById("eraAdjustToggle").onchange = e => {
+    eraAdjust = e.target.checked;
+  };
+
   document.getElementById("clearFuture").onclick = () => {
     resetPlayerBuilder();
   };
@@ -1407,28 +2354,35 @@ document.addEventListener("DOMContentLoaded", async () => {
       }
     }
 
+    // Re-read picks so the era toggle applies even to earlier picks
+    const pickValue = attr => {
+      const entry = customPeak[attr];
+      if (!entry) return 0;
+      return entry.player ? peakValue(attr, entry.player) : entry.value;
+    };
     const peak = {
-      pts: customPeak.shooting ? customPeak.shooting.value : 0,
-      ast: customPeak.passing ? customPeak.passing.value : 0,
-      reb: customPeak.rebounding ? customPeak.rebounding.value : 0,
-      stl: customPeak.steals ? customPeak.steals.value : 0,
-      blk: customPeak.blocks ? customPeak.blocks.value : 0,
-      g: customPeak.longevity ? customPeak.longevity.value : 0,
-      ath: customPeak.athleticism ? customPeak.athleticism.value : 0,
-      height: customPeak.height ? customPeak.height.value : 0
+      pts: pickValue("shooting"),
+      ast: pickValue("passing"),
+      reb: pickValue("rebounding"),
+      stl: pickValue("steals"),
+      blk: pickValue("blocks"),
+      g: pickValue("longevity"),
+      ath: pickValue("athleticism"),
+      height: pickValue("height")
     };
 
-    if (!chosenTeam) {
-      alert("Pick a team before simulating.");
+    let output;
+    try {
+      output = simulateCareer(
+        name,
+        document.getElementById("playerPosition").value,
+        peak,
+        chosenTeam
+      );
+    } catch (err) {
+      alert(err.message);
       return;
     }
-
-    const output = simulateCareer(
-      name,
-      document.getElementById("playerPosition").value,
-      peak,
-      chosenTeam
-    );
     renderResults(output);
   };
 });
@@ -13,6 +13,15 @@ let participants = [];
 let gameMode = 'attribute';
 let eraFilter = 'all';
 let positionLocked = false;
+let sessionSeed = null;
+let draftType = 'independent';
+let draftState = null;
+let capMode = false;
+let salaryMap = null;
+let rosterSize = 5;
+let eraAdjust = false;
+let rerollLimit = 0;
+let lockReroll = false;
 
 const ATTRIBUTES = [
   'shooting',
@@ -23,6 +32,22 @@ const ATTRIBUTES = [
   'height'
 ];
 
+const TEAM_SLOTS = ['PG', 'SG', 'SF', 'PF', 'C'];
+const BENCH_SLOTS = ['B1', 'B2', 'B3', 'B4', 'B5'];
+
+/**
+ * The role a position-locked starter slot needs. PositionArr holds exactly the role
+ * words in the Position text, so pick pools and browse queries both match on these.
+ */
+const SLOT_ROLES = { PG: 'Guard', SG: 'Guard', SF: 'Forward', PF: 'Forward', C: 'Center' };
+
+/** Minutes per slot, starters first. Each rotation adds up to 240. */
+const ROTATION_MINUTES = {
+  5: [48, 48, 48, 48, 48],
+  8: [36, 35, 34, 33, 32, 26, 24, 20],
+  10: [34, 33, 32, 31, 30, 20, 18, 16, 14, 12]
+};
+
 const ATTR_MAP = {
   shooting: 'FG%',
   passing: 'AST',
@@ -52,7 +77,12 @@ const STAT_LABELS = {
   'BLK': 'BLK',
   'G': 'G',
   'PER': 'PER',
-  'Height': 'Hgt'
+  'Height': 'Hgt',
+  'FG3%': '3P%',
+  'FT%': 'FT%',
+  'eFG%': 'eFG%',
+  'WS': 'WS',
+  'Weight': 'Wt'
 };
 
 const STAT_DIGITS = {
@@ -64,7 +94,12 @@ const STAT_DIGITS = {
   'BLK': 1,
   'G': 0,
   'PER': 1,
-  'Height': 0
+  'Height': 0,
+  'FG3%': 1,
+  'FT%': 1,
+  'eFG%': 1,
+  'WS': 1,
+  'Weight': 0
 };
 
 /* =========================
@@ -283,6 +318,8 @@ function parsePosition(pos) {
     arr = trimmed.split('-');
   } else if (trimmed.includes('/')) {
     arr = trimmed.split('/');
+  } else if (trimmed.includes(',')) {
+    arr = trimmed.split(',');
   } else {
     arr = [trimmed];
   }
@@ -290,15 +327,7 @@ function parsePosition(pos) {
 }
 
 function positionMatchesSlot(posArray, slot) {
-  const roles = new Set(posArray);
-  if (slot === 'C') return roles.has('Center');
-  if (slot === 'PG' || slot === 'SG') {
-    return roles.has('Guard') || roles.has('Guard-Forward') || roles.has('Forward-Guard');
-  }
-  if (slot === 'SF' || slot === 'PF') {
-    return roles.has('Forward') || roles.has('Forward-Center') || roles.has('Center-Forward') || roles.has('Guard-Forward') || roles.has('Forward-Guard');
-  }
-  return false;
+  return slot in SLOT_ROLES && (posArray || []).includes(SLOT_ROLES[slot]);
 }
 
 function fmt(value, digits = 1) {
@@ -312,6 +341,18 @@ function num(value, fallback = 0) {
   return Number.isFinite(n) ? n : fallback;
 }
 
+/** Players are matched across devices and reloads by name and debut year, unlike the in-memory rowid. */
+function playerId(p) {
+  return `${p.Name}|${p.Debut}`;
+}
+
+/** For names typed on another device or read from a link or file before they go into markup. */
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
 function getPositionGroup(posArray) {
   const roles = new Set(posArray || []);
   if (roles.has('Center') && !roles.has('Guard')) return 'C';
@@ -484,15 +525,25 @@ async function initDatabase() {
   const selectCols = ['Name', 'Debut', 'Position', 'Height', 'G', 'PTS', 'TRB', 'AST', 'PER', 'FG%'];
   if (hasCol('STL')) selectCols.push('STL');
   if (hasCol('BLK')) selectCols.push('BLK');
-  const selectSql = selectCols.map(c => (c === 'FG%' ? `"${c}"` : c)).join(', ');
-  const res = db.exec(`SELECT ${selectSql} FROM players`);
+  if (hasCol('WS')) selectCols.push('WS');
+  if (hasCol('FG3%')) selectCols.push('FG3%');
+  const selectSql = selectCols.map(c => (c.includes('%') ? `"${c}"` : c)).join(', ');
+  const res = db.exec(`SELECT rowid, ${selectSql} FROM players`);
+  playerRowids.clear();
+  playersByRowid.clear();
   players = res[0].values.map(row => {
     const obj = {};
-    res[0].columns.forEach((c, i) => obj[c] = row[i]);
+    res[0].columns.forEach((c, i) => {
+      if (i > 0) obj[c] = row[i];
+    });
     obj.PositionArr = parsePosition(obj.Position);
+    playerRowids.set(obj, row[0]);
+    playersByRowid.set(row[0], obj);
     return obj;
   });
 
+  eraBaselines = buildEraBaselines(players);
+
   playersLoaded = true;
   document.getElementById('dataStatus').textContent =
     `Loaded ${players.length} NBA players`;
@@ -508,6 +559,98 @@ function inEra(player) {
   return player.Debut >= start && player.Debut < start + 10;
 }
 
+/* =========================
+   ERA ADJUSTMENT
+   ========================= */
+// Per-game rate stats only; G, Height and career WS are not pace-bound.
+const ERA_ADJUSTED_STATS = ['PTS', 'TRB', 'AST', 'STL', 'BLK', 'FG%', 'PER'];
+const ERA_BASELINE_MIN_GAMES = 50;
+const ERA_BASELINE_MIN_SAMPLE = 20;
+
+let eraBaselines = null;
+const eraAdjustedCache = new WeakMap();
+
+function debutDecade(player) {
+  return Math.floor(num(player.Debut) / 10) * 10;
+}
+
+function meanStd(values) {
+  if (values.length < ERA_BASELINE_MIN_SAMPLE) return null;
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  const std = Math.sqrt(variance);
+  return std ? { mean, std } : null;
+}
+
+/**
+ * Mean and spread of each rate stat per debut decade and for the whole
+ * table. Players with 50+ games set the baselines; stats a decade did not
+ * track (e.g. steals before 1973) are simply missing.
+ */
+function buildEraBaselines(pool) {
+  const regulars = pool.filter(p => num(p.G) >= ERA_BASELINE_MIN_GAMES);
+  const summarize = group => {
+    const out = {};
+    ERA_ADJUSTED_STATS.forEach(stat => {
+      const values = group.map(p => p[stat])
+        .filter(v => v !== null && v !== undefined && Number.isFinite(Number(v)) && Number(v) > 0)
+        .map(Number);
+      const entry = meanStd(values);
+      if (entry) out[stat] = entry;
+    });
+    return out;
+  };
+
+  const byDecade = new Map();
+  regulars.forEach(p => {
+    const decade = debutDecade(p);
+    if (!byDecade.has(decade)) byDecade.set(decade, []);
+    byDecade.get(decade).push(p);
+  });
+  const decades = {};
+  byDecade.forEach((group, decade) => { decades[decade] = summarize(group); });
+  return { overall: summarize(regulars), decades };
+}
+
+/**
+ * A copy of `player` with each rate stat moved to the same z-score on the
+ * all-time scale, so a rebounder two deviations above his own decade is
+ * two deviations above the all-time average. Stats stay in their usual
+ * units, so everything downstream works unchanged.
+ */
+function eraAdjustedPlayer(player) {
+  if (!player || !eraBaselines) return player;
+  if (eraAdjustedCache.has(player)) return eraAdjustedCache.get(player);
+
+  const decade = eraBaselines.decades[debutDecade(player)] || {};
+  const adjusted = { ...player };
+  ERA_ADJUSTED_STATS.forEach(stat => {
+    const raw = player[stat];
+    const base = decade[stat];
+    const all = eraBaselines.overall[stat];
+    if (raw === null || raw === undefined || !Number.isFinite(Number(raw)) || !base || !all) return;
+    const z = (Number(raw) - base.mean) / base.std;
+    adjusted[stat] = Math.max(0, all.mean + z * all.std);
+  });
+  eraAdjustedCache.set(player, adjusted);
+  return adjusted;
+}
+
+/** The stats the sim and the pick tables should use for `player`. */
+function statView(player) {
+  return eraAdjust ? eraAdjustedPlayer(player) : player;
+}
+
+function eraAdjustedParticipant(p) {
+  const team = {};
+  Object.entries(p.team).forEach(([slot, pl]) => { team[slot] = eraAdjustedPlayer(pl); });
+  const attributes = {};
+  Object.entries(p.attributes).forEach(([key, sel]) => {
+    attributes[key] = { ...sel, player: eraAdjustedPlayer(sel.player) };
+  });
+  return { ...p, team, attributes };
+}
+
 /* =========================
    GAME SETUP
    ========================= */
@@ -515,9 +658,24 @@ document.addEventListener('DOMContentLoaded', async () => {
   await initDatabase();
 
   document.getElementById('startGame').onclick = startGame;
+  document.getElementById('newSeed').onclick = () => {
+    document.getElementById('sessionSeed').value = String(randomSessionSeed());
+  };
   document.getElementById('simulateLocal').onclick = runDeterministicSim;
+  document.getElementById('createRoom').onclick = createRoom;
+  document.getElementById('joinRoom').onclick = joinRoom;
+  document.getElementById('startRoomDraft').onclick = startRoomDraft;
+  document.getElementById('exportSession').onclick = exportSession;
+  document.getElementById('importSession').onchange = importSession;
+  document.getElementById('shareMatchup').onclick = copyShareLink;
+  document.getElementById('comparePlayers').onclick = comparePlayers;
+  fillComparePlayerList();
   document.getElementById('positionLockToggle').onchange = e =>
     positionLocked = e.target.checked;
+  document.getElementById('eraAdjustToggle').onchange = e =>
+    eraAdjust = e.target.checked;
+  document.getElementById('lockRerollToggle').onchange = e =>
+    lockReroll = e.target.checked;
   const statsHelpBtn = document.getElementById('statsHelp');
   if (statsHelpBtn) statsHelpBtn.onclick = openStatsHelpModal;
 
@@ -526,12 +684,54 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.querySelectorAll('.stat-options input[data-stat]').forEach(input => {
     input.onchange = applyStatVisibility;
   });
+
+  // Name and position edits don't re-render, so catch them on the way out.
+  window.addEventListener('pagehide', saveActiveSession);
+  window.addEventListener('hashchange', loadSharedMatchup);
+  renderSessionList();
+  loadSharedMatchup();
 });
 
+/* =========================
+   SESSION SEED
+   ========================= */
+function randomSessionSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Numeric seeds are used as-is; any other text is hashed, so a
+ * memorable phrase works as a seed too.
+ */
+function parseSessionSeed(value) {
+  const trimmed = String(value ?? '').trim();
+  if (!trimmed) return null;
+  if (/^\d+$/.test(trimmed)) return Number(trimmed) >>> 0;
+  return seedFromNames(trimmed, 'session');
+}
+
+function sessionRng(label) {
+  return rngFromSeed(seedFromNames(String(sessionSeed ?? 0), label));
+}
+
 function startGame() {
+  if (roomState) leaveRoom();
   gameMode = document.getElementById('gameMode').value;
   eraFilter = document.getElementById('era').value;
 
+  const seedInput = document.getElementById('sessionSeed');
+  sessionSeed = parseSessionSeed(seedInput.value);
+  if (sessionSeed === null) {
+    sessionSeed = randomSessionSeed();
+    seedInput.value = String(sessionSeed);
+  }
+
+  draftType = document.getElementById('draftType')?.value || 'independent';
+  rosterSize = parseInt(document.getElementById('rosterSize')?.value, 10) || 5;
+  capMode = !!document.getElementById('capModeToggle')?.checked;
+  salaryMap = capMode ? buildSalaryMap(players.filter(p => inEra(p))) : null;
+  rerollLimit = parseInt(document.getElementById('rerollLimit')?.value, 10) || 0;
+
   const n = parseInt(document.getElementById('numParticipants').value);
   participants = [];
 
@@ -541,218 +741,1668 @@ function startGame() {
       position: 'PG',
       attributes: {},
       team: {},
-      teamName: null
+      teamName: null,
+      controller: 'human',
+      budget: capMode ? draftSlots().length * CAP_PER_SLOT : null,
+      rerollsLeft: rerollLimit,
+      rerolls: {},
+      locks: {},
+      poolHistory: []
     });
   }
 
+  draftState = draftType === 'snake' ? startSnakeDraft() : null;
+  activeSessionId = null;
   renderGame();
 }
 
 /* =========================
-   RENDER
+   ROSTERS & ROTATIONS
    ========================= */
-function renderGame() {
-  const area = document.getElementById('gameArea');
-  area.innerHTML = '';
+function teamSlots() {
+  return TEAM_SLOTS.concat(BENCH_SLOTS.slice(0, Math.max(0, rosterSize - TEAM_SLOTS.length)));
+}
 
-  participants.forEach((p, i) => {
-    const card = document.createElement('div');
-    card.className = 'participant';
+function slotLabel(slot) {
+  const bench = BENCH_SLOTS.indexOf(slot);
+  return bench === -1 ? String(slot).toUpperCase() : `BENCH ${bench + 1}`;
+}
 
-    const nameField = gameMode === 'team'
-      ? `
-        <label>Team Name</label>
-        <input value="${p.teamName || ''}" onchange="participants[${i}].teamName=this.value" placeholder="Required for 5v5">
-      `
-      : `
-        <label>Name</label>
-        <input value="${p.name}" onchange="participants[${i}].name=this.value">
-      `;
+/**
+ * Minutes for each filled slot. Empty slots hand their minutes to the
+ * rest of the roster, capped at a full game.
+ */
+function rotationMinutes(slots) {
+  const table = ROTATION_MINUTES[rosterSize] || ROTATION_MINUTES[5];
+  const order = teamSlots();
+  const base = slots.map(slot => table[order.indexOf(slot)] || 0);
+  const total = base.reduce((sum, m) => sum + m, 0);
+  const scale = total ? (48 * TEAM_SLOTS.length) / total : 0;
+  return base.map(m => Math.min(48, Math.round(m * scale)));
+}
 
-    card.innerHTML = `
-      <h3>Participant ${i + 1}</h3>
-      ${nameField}
-      <label>Position</label>
-      <select onchange="participants[${i}].position=this.value">
-        <option ${p.position === 'PG' ? 'selected' : ''}>PG</option>
-        <option ${p.position === 'SG' ? 'selected' : ''}>SG</option>
-        <option ${p.position === 'SF' ? 'selected' : ''}>SF</option>
-        <option ${p.position === 'PF' ? 'selected' : ''}>PF</option>
-        <option ${p.position === 'C' ? 'selected' : ''}>C</option>
-      </select>
-      <div class="rows"></div>
-    `;
+/* =========================
+   SALARY CAP
+   ========================= */
+const CAP_PER_SLOT = 20;
+const MIN_SALARY = 1;
+const MAX_SALARY = 40;
+
+/** Share of the pool strictly below each value (0 = lowest, 1 = highest). */
+function percentileMap(pool, valueFn) {
+  const values = pool.map(p => num(valueFn(p))).sort((a, b) => a - b);
+  const firstIndex = new Map();
+  values.forEach((v, idx) => {
+    if (!firstIndex.has(v)) firstIndex.set(v, idx);
+  });
+  const denom = Math.max(1, values.length - 1);
+  return new Map(pool.map(p => [p, firstIndex.get(num(valueFn(p))) / denom]));
+}
 
-    const rows = card.querySelector('.rows');
+/**
+ * Prices every player in the era pool from their WS and PER percentiles.
+ * Squaring the blend keeps role players cheap and stars expensive.
+ */
+function buildSalaryMap(pool) {
+  const ws = percentileMap(pool, p => p.WS);
+  const per = percentileMap(pool, p => p.PER);
+  return new Map(pool.map(p => {
+    const value = 0.6 * ws.get(p) + 0.4 * per.get(p);
+    return [p, Math.round(MIN_SALARY + value * value * (MAX_SALARY - MIN_SALARY))];
+  }));
+}
 
-    if (gameMode === 'attribute') {
-      ATTRIBUTES.forEach(attr => {
-        rows.appendChild(attributeRow(i, attr, p));
-      });
-    } else {
-      ['PG', 'SG', 'SF', 'PF', 'C'].forEach(pos => {
-        rows.appendChild(teamRow(i, pos, p));
-      });
-    }
+function salaryOf(p) {
+  return (salaryMap && p && salaryMap.get(p)) || MIN_SALARY;
+}
 
-    area.appendChild(card);
-  });
+function pickedPlayers(participant) {
+  const picks = gameMode === 'team'
+    ? Object.values(participant.team)
+    : Object.values(participant.attributes).map(a => a.player);
+  return Array.from(new Set(picks.filter(Boolean)));
+}
+
+/** A player used for several attribute slots is only paid once. */
+function capSpent(participant) {
+  return pickedPlayers(participant).reduce((sum, p) => sum + salaryOf(p), 0);
+}
+
+function formatSalary(amount) {
+  return `$${amount}M`;
+}
+
+/**
+ * Returns an error message if signing `p` into `key` would break the cap,
+ * including leaving less than the minimum salary for each open slot.
+ */
+function capViolation(i, key, p, isTeam) {
+  if (!capMode) return null;
+  const participant = participants[i];
+  const slots = isTeam ? participant.team : participant.attributes;
+  const after = { ...slots, [key]: isTeam ? p : { player: p } };
+  const afterPlayers = Array.from(new Set(Object.values(after).map(v => (isTeam ? v : v.player)).filter(Boolean)));
+  const spent = afterPlayers.reduce((sum, pl) => sum + salaryOf(pl), 0);
+  const openSlots = draftSlots().filter(slot => !after[slot]).length;
+  if (spent > participant.budget) {
+    return `${p.Name} costs ${formatSalary(salaryOf(p))} and would put you ${formatSalary(spent - participant.budget)} over the cap.`;
+  }
+  if (participant.budget - spent < openSlots * MIN_SALARY) {
+    return `Signing ${p.Name} would leave less than ${formatSalary(MIN_SALARY)} for each of your ${openSlots} open slots.`;
+  }
+  return null;
 }
 
 /* =========================
-   ATTRIBUTE ROW
+   SNAKE DRAFT
    ========================= */
-function attributeRow(i, attr, participant) {
-  const row = document.createElement('div');
-  row.className = 'attr-row';
-
-  const label = document.createElement('div');
-  label.className = 'attr-label';
-  label.textContent = attr.toUpperCase();
+function draftSlots() {
+  return gameMode === 'team' ? teamSlots() : ATTRIBUTES;
+}
 
-  const value = document.createElement('div');
-  value.className = 'attr-value';
-  const selected = participant?.attributes?.[attr];
-  const val = selected && Number.isFinite(selected.value) ? selected.value.toFixed(2) : '';
-  const display = selected ? `${selected.source}${val ? ` (${val})` : ''}` : '';
-  value.innerHTML = `<input readonly placeholder="Not chosen" value="${display}">`;
+function participantLabel(p) {
+  return (gameMode === 'team' && p.teamName) || p.name;
+}
 
-  const btn = document.createElement('button');
-  btn.className = 'dice-btn';
-  btn.textContent = 'Pick';
-  btn.onclick = () => openModal(i, attr);
+/**
+ * One shared, seeded pool for the whole draft. It holds two players per
+ * pick plus a cushion so late picks still have a choice.
+ */
+function startSnakeDraft() {
+  const totalPicks = participants.length * draftSlots().length;
+  const shuffled = shuffleInPlace(sessionRng('snake-pool'), players.filter(p => inEra(p)));
+  const pool = shuffled.slice(0, totalPicks * 2 + 10);
+  // Position-locked starters need twice their picks in players of that role; a random draw runs short on centers.
+  if (gameMode === 'team') {
+    const rest = shuffled.slice(pool.length);
+    new Set(Object.values(SLOT_ROLES)).forEach(role => {
+      const slots = TEAM_SLOTS.filter(key => SLOT_ROLES[key] === role).length;
+      let missing = participants.length * slots * 2 - pool.filter(p => (p.PositionArr || []).includes(role)).length;
+      for (let i = 0; i < rest.length && missing > 0; i++) {
+        if (!rest[i] || !(rest[i].PositionArr || []).includes(role)) continue;
+        pool.push(rest[i]);
+        rest[i] = null;
+        missing--;
+      }
+    });
+  }
+  return {
+    pool,
+    pickNumber: 0,
+    totalPicks,
+    picks: []
+  };
+}
 
-  row.append(label, value, btn);
-  return row;
+/** Participant index on the clock for a 0-based overall pick number. */
+function snakeOrderIndex(pickNumber, n) {
+  const round = Math.floor(pickNumber / n);
+  const idx = pickNumber % n;
+  return round % 2 === 0 ? idx : n - 1 - idx;
 }
 
-/* =========================
-   TEAM ROW
-   ========================= */
-function teamRow(i, pos, participant) {
-  const row = document.createElement('div');
-  row.className = 'attr-row';
+function onTheClock() {
+  if (!draftState || draftState.pickNumber >= draftState.totalPicks) return null;
+  return snakeOrderIndex(draftState.pickNumber, participants.length);
+}
 
-  const selected = participant?.team?.[pos];
-  const display = selected ? `${selected.Name}` : '';
-  row.innerHTML = `
-    <div class="attr-label">${pos}</div>
-    <div class="attr-value"><input readonly placeholder="Empty" value="${display}"></div>
-    <button class="dice-btn">Pick</button>
-  `;
+function recordSnakePick(i, key, p) {
+  const n = participants.length;
+  draftState.picks.push({
+    overall: draftState.pickNumber + 1,
+    round: Math.floor(draftState.pickNumber / n) + 1,
+    participantIndex: i,
+    key,
+    player: p
+  });
+  draftState.pool = draftState.pool.filter(pl => pl !== p);
+  draftState.pickNumber += 1;
+}
 
-  row.querySelector('button').onclick =
-    () => openModal(i, pos, true);
+/**
+ * In a snake draft only the participant on the clock may pick, and each
+ * pick fills one empty slot. Independent pools allow any slot at any time.
+ */
+function canPickSlot(i, key, isTeam) {
+  if (!draftState) return true;
+  if (roomState && roomState.memberIndex !== i) return false;
+  if (onTheClock() !== i) return false;
+  const slots = isTeam ? participants[i].team : participants[i].attributes;
+  return !slots[key];
+}
 
-  return row;
+function renderDraftStatus(area) {
+  const n = participants.length;
+  const status = document.createElement('div');
+  status.className = 'card draft-status';
+
+  const clock = onTheClock();
+  const headline = clock === null
+    ? 'Draft complete. Run the sim when ready.'
+    : `Round ${Math.floor(draftState.pickNumber / n) + 1}, Pick ${draftState.pickNumber % n + 1} ` +
+      `(Overall #${draftState.pickNumber + 1}) - On the clock: <strong>${escapeHtml(participantLabel(participants[clock]))}</strong>`;
+
+  const rounds = Math.ceil(draftState.totalPicks / n);
+  const header = participants.map(p => `<th>${escapeHtml(participantLabel(p))}</th>`).join('');
+  const rows = Array.from({ length: rounds }, (_, r) => {
+    const cells = participants.map((_, i) => {
+      const made = draftState.picks.find(pk => pk.round === r + 1 && pk.participantIndex === i);
+      return `<td>${made ? `${made.player.Name} <span class="muted">(${String(made.key).toUpperCase()}, #${made.overall})</span>` : ''}</td>`;
+    }).join('');
+    return `<tr><td>${r + 1}</td>${cells}</tr>`;
+  }).join('');
+
+  status.innerHTML = `
+    <h3>Snake Draft</h3>
+    <p>${headline}</p>
+    <p class="muted">${draftState.pool.length} players left in the shared pool.</p>
+    <table class="pick-table draft-board">
+      <thead><tr><th>Rd</th>${header}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+  area.appendChild(status);
 }
 
 /* =========================
-   MODAL
+   CPU OPPONENTS
    ========================= */
-function openModal(participantIndex, key, isTeam = false) {
-  const modal = document.getElementById('modalOverlay');
-  const body = document.getElementById('modalBody');
-  const legend = document.getElementById('modalLegend');
-  if (legend) legend.style.display = '';
-  body.innerHTML = '';
+const CPU_STRATEGIES = {
+  best: 'CPU - Best Available',
+  need: 'CPU - Positional Need',
+  balanced: 'CPU - Balanced',
+  chaotic: 'CPU - Chaotic'
+};
 
-  let pool = players.filter(p => inEra(p));
-  const availableStats = getAvailableStats();
-  const context = buildStatContext(pool, availableStats);
+/** Per-player production a balanced roster aims for. */
+const CPU_BALANCE_TARGETS = { PTS: 15, AST: 4, TRB: 7 };
 
-  if (isTeam && positionLocked) {
-    pool = pool.filter(p => positionMatchesSlot(p.PositionArr, key));
-  }
+function isCpu(participant) {
+  return !!participant && participant.controller in CPU_STRATEGIES;
+}
 
-  pool = pool.sort(() => 0.5 - Math.random()).slice(0, 10);
+function setController(i, controller) {
+  const participant = participants[i];
+  participant.controller = controller;
+  if (isCpu(participant) && gameMode === 'team' && !String(participant.teamName || '').trim()) {
+    participant.teamName = `CPU ${i + 1}`;
+  }
+  runCpuTurns();
+}
 
-  const table = document.createElement('table');
-  table.className = 'pick-table';
-  const headerStats = availableStats
-    .map(stat => `<th data-stat="${stat}">${STAT_LABELS[stat] || stat}</th>`)
-    .join('');
-  table.innerHTML = `
-    <thead>
-      <tr>
-        <th>Name</th><th>Pos</th>${headerStats}<th></th>
-      </tr>
-    </thead>
-    <tbody></tbody>
-  `;
+function openSlotsFor(participant) {
+  const slots = gameMode === 'team' ? participant.team : participant.attributes;
+  return draftSlots().filter(key => !slots[key]);
+}
 
-  const tb = table.querySelector('tbody');
+/** Rewards whatever the roster is shortest on so far. */
+function balancedScore(participant, p) {
+  const picks = pickedPlayers(participant);
+  return Object.entries(CPU_BALANCE_TARGETS).reduce((sum, [stat, target]) => {
+    const have = picks.reduce((total, pl) => total + num(pl[stat]), 0);
+    const shortfall = Math.max(0, target * (picks.length + 1) - have) / target;
+    return sum + Math.min(num(p[stat]) / target, 2) * (1 + shortfall);
+  }, 0);
+}
 
-  pool.forEach(p => {
-    const posGroup = getPositionGroup(p.PositionArr);
-    const tr = document.createElement('tr');
-    const statCells = availableStats.map(stat => {
-      const value = p[stat];
-      const cls = statClass(value, stat, posGroup, context);
-      return `<td data-stat="${stat}" class="${cls}">${formatStatValue(value, stat)}</td>`;
-    }).join('');
-    tr.innerHTML = `
-      <td>${p.Name}</td>
-      <td>${p.Position}</td>
-      ${statCells}
-      <td><button type="button" class="dice-btn">Select</button></td>
-    `;
+/** Maps values to 0-1 ranks so scores from different slots compare fairly. */
+function rankScores(values) {
+  const sorted = values.slice().sort((x, y) => x - y);
+  const denom = Math.max(1, sorted.length - 1);
+  return values.map(v => sorted.indexOf(v) / denom);
+}
 
-    const selectHandler = () => {
-      selectPlayer(participantIndex, key, p, isTeam);
-      modal.classList.add('hidden');
-    };
-    const btn = tr.querySelector('button');
-    if (btn) {
-      btn.onclick = (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        selectHandler();
-      };
+/**
+ * Scores every candidate for one slot. Positional need means a real
+ * position match in 5v5 and the best value for that attribute in
+ * attribute mode. Balanced attribute picks weigh both.
+ */
+function cpuScores(strategy, participant, key, candidates, isTeam, rng) {
+  if (strategy === 'chaotic') return candidates.map(() => rng());
+  if (strategy === 'balanced') {
+    const balance = candidates.map(p => balancedScore(participant, p));
+    if (isTeam) return balance;
+    const attr = rankScores(candidates.map(p => attributeValue(p, key)));
+    return rankScores(balance).map((b, idx) => (b + attr[idx]) / 2);
+  }
+  if (strategy === 'need') {
+    if (isTeam) {
+      return candidates.map(p => (positionMatchesSlot(p.PositionArr, key) ? 1000 : 0) + playerImpact(p));
     }
-    tr.onclick = selectHandler;
+    return rankScores(candidates.map(p => attributeValue(p, key)));
+  }
+  return candidates.map(p => playerImpact(p));
+}
 
-    tb.appendChild(tr);
+/**
+ * Makes one pick for a CPU participant from the same pool a human would
+ * see. Snake drafters weigh every open slot; independent drafters fill
+ * their slots in order. Under the cap they keep to a fair share of what
+ * is left when they can. Returns false if nothing affordable was found.
+ */
+function cpuPick(i) {
+  const participant = participants[i];
+  const isTeam = gameMode === 'team';
+  const open = openSlotsFor(participant);
+  if (!open.length) return false;
+  const keys = draftState ? open : open.slice(0, 1);
+  const rng = sessionRng(`cpu:${i}:${open.length}`);
+  const fairShare = capMode ? (participant.budget - capSpent(participant)) / open.length * 1.5 : Infinity;
+
+  let best = null;
+  keys.forEach(key => {
+    const pool = buildPickPool(i, key, isTeam);
+    if (!draftState) recordPoolSeen(i, key, pool);
+    const affordable = pool.filter(p => !capViolation(i, key, p, isTeam));
+    const paced = affordable.filter(p => salaryOf(p) <= fairShare);
+    const candidates = paced.length ? paced : affordable;
+    const scores = cpuScores(participant.controller, participant, key, candidates, isTeam, rng);
+    candidates.forEach((p, idx) => {
+      if (!best || scores[idx] > best.score) best = { key, player: p, score: scores[idx] };
+    });
   });
 
-  body.appendChild(table);
-  applyStatVisibility();
-  modal.classList.remove('hidden');
-  document.getElementById('modalClose').onclick =
-    () => modal.classList.add('hidden');
+  if (!best) return false;
+  return selectPlayer(i, best.key, best.player, isTeam);
 }
 
-function openStatsHelpModal() {
-  const modal = document.getElementById('modalOverlay');
-  const body = document.getElementById('modalBody');
-  const title = document.getElementById('modalTitle');
-  const legend = document.getElementById('modalLegend');
-  if (legend) legend.style.display = 'none';
-  title.textContent = 'How the Simulation Works';
+/**
+ * Lets CPU participants draft: in a snake draft, until a human is on the
+ * clock; with independent pools, until every CPU roster is full.
+ */
+function runCpuTurns() {
+  const stuck = [];
+  if (draftState) {
+    let clock = onTheClock();
+    while (clock !== null && isCpu(participants[clock])) {
+      if (!cpuPick(clock)) {
+        stuck.push(participants[clock]);
+        break;
+      }
+      clock = onTheClock();
+    }
+  } else {
+    participants.forEach((participant, i) => {
+      if (!isCpu(participant)) return;
+      while (openSlotsFor(participant).length) {
+        if (!cpuPick(i)) {
+          stuck.push(participant);
+          break;
+        }
+      }
+    });
+  }
+  renderGame();
+  if (stuck.length) {
+    alert(`${stuck.map(participantLabel).join(', ')} could not find an affordable pick.`);
+  }
+}
 
-  body.innerHTML = `
-    <div class="card" style="box-shadow:none; margin:0;">
-      <p class="muted">
-        The draft mode compares the real career averages of the players you select.
-        Attribute mode combines each picked player’s stat into one custom profile.
-      </p>
-      <h3>Athleticism (ATH)</h3>
-      <pre class="sim-output" style="margin-top:6px; white-space:pre-wrap;">ATH = 0.45*perNorm + 0.20*fgBonus + 0.20*rebBonus + 0.10*durability + 0.05*heightBonus
+/* =========================
+   ONLINE ROOMS
+   ========================= */
+const ROOM_CONFIG = {
+  backendUrl: 'http://localhost:5000' // Change for production
+};
 
-perNorm = clamp((PER-15)/10, -1.5, 1.5)
-fgBonus = (FG% - 0.45) * 4
-rebBonus = min(REB / 10, 1.2)
-durability = min(G / 1200, 1.0)
-heightBonus = (Height - 78) / 12</pre>
-      <p class="muted">
-        In plain English: ATH blends efficiency, shooting, rebounding, durability, and height into one score.
-      </p>
+// { code, memberId, memberIndex, source, started, appliedPicks, resultShown, resultSent }
+let roomState = null;
 
-      <h3>Advanced Metrics (Recruiter-Focused)</h3>
-      
-      <p><strong>Career Variance Index (CVI):</strong> Standard deviation of performance across seasons. Lower = more consistent; higher = volatile. Elite players maintain high averages with low variance.</p>
-      
-      <p><strong>Longevity Score:</strong> Number of seasons a player stays above replacement-level (career average - 0.5 std dev). Distinguishes one-hit wonders from durable veterans.</p>
+async function roomRequest(path, body) {
+  const res = await fetch(`${ROOM_CONFIG.backendUrl}${path}`, body === undefined ? {} : {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+  return data;
+}
+
+function setRoomStatus(text) {
+  document.getElementById('roomStatus').textContent = text;
+}
+
+function roomMemberName() {
+  const name = document.getElementById('roomName').value.trim();
+  if (!name) alert('Enter your name first.');
+  return name;
+}
+
+function roomSettingsFromControls() {
+  return {
+    gameMode: document.getElementById('gameMode').value,
+    era: document.getElementById('era').value,
+    seed: parseSessionSeed(document.getElementById('sessionSeed').value) ?? randomSessionSeed(),
+    format: document.getElementById('tournamentFormat')?.value || 'single',
+    detail: document.getElementById('simDetail')?.value || 'light',
+    seriesLength: parseInt(document.getElementById('seriesLength')?.value, 10) || 1,
+    rosterSize: parseInt(document.getElementById('rosterSize')?.value, 10) || 5,
+    positionLocked: !!document.getElementById('positionLockToggle')?.checked,
+    capMode: !!document.getElementById('capModeToggle')?.checked
+  };
+}
+
+async function createRoom() {
+  const name = roomMemberName();
+  if (!name) return;
+  try {
+    enterRoom(await roomRequest('/api/rooms', { name, settings: roomSettingsFromControls() }));
+  } catch (err) {
+    alert(`Could not create a room: ${err.message}`);
+  }
+}
+
+async function joinRoom() {
+  const name = roomMemberName();
+  const code = document.getElementById('roomCode').value.trim().toUpperCase();
+  if (!name) return;
+  if (!code) {
+    alert('Enter a room code.');
+    return;
+  }
+  try {
+    enterRoom(await roomRequest(`/api/rooms/${code}/join`, { name }));
+  } catch (err) {
+    alert(`Could not join room ${code}: ${err.message}`);
+  }
+}
+
+async function startRoomDraft() {
+  if (!roomState) {
+    alert('Create or join a room first.');
+    return;
+  }
+  try {
+    await roomRequest(`/api/rooms/${roomState.code}/start`, { memberId: roomState.memberId });
+  } catch (err) {
+    alert(`Could not start the draft: ${err.message}`);
+  }
+}
+
+function enterRoom({ memberId, memberIndex, room }) {
+  leaveRoom();
+  roomState = {
+    code: room.code,
+    memberId,
+    memberIndex,
+    source: null,
+    started: false,
+    appliedPicks: 0,
+    resultShown: false,
+    resultSent: false
+  };
+  document.getElementById('roomCode').value = room.code;
+
+  // EventSource can't send headers, so the member id rides in the query string
+  const source = new EventSource(
+    `${ROOM_CONFIG.backendUrl}/api/rooms/${room.code}/events?memberId=${encodeURIComponent(roomState.memberId)}`
+  );
+  source.addEventListener('room', e => applyRoomState(JSON.parse(e.data)));
+  source.onerror = () => setRoomStatus(`Room ${room.code}: connection lost, reconnecting...`);
+  roomState.source = source;
+  applyRoomState(room);
+}
+
+function leaveRoom() {
+  if (!roomState) return;
+  roomState.source?.close();
+  roomState = null;
+  setRoomStatus('Not in a room.');
+}
+
+/**
+ * Rebuilds the room's game locally. The shared seed and settings give
+ * every device the same snake pool, so picks can travel as player ids.
+ */
+function setupRoomGame(room) {
+  const s = room.settings;
+  document.getElementById('gameMode').value = s.gameMode;
+  document.getElementById('era').value = s.era;
+  document.getElementById('sessionSeed').value = String(s.seed);
+  document.getElementById('tournamentFormat').value = s.format;
+  document.getElementById('simDetail').value = s.detail;
+  document.getElementById('seriesLength').value = String(s.seriesLength);
+  document.getElementById('rosterSize').value = String(s.rosterSize);
+  const lockToggle = document.getElementById('positionLockToggle');
+  if (lockToggle) lockToggle.checked = s.positionLocked;
+  const capToggle = document.getElementById('capModeToggle');
+  if (capToggle) capToggle.checked = s.capMode;
+
+  gameMode = s.gameMode;
+  eraFilter = s.era;
+  sessionSeed = s.seed;
+  positionLocked = s.positionLocked;
+  draftType = 'snake';
+  rosterSize = s.rosterSize;
+  capMode = s.capMode;
+  salaryMap = capMode ? buildSalaryMap(players.filter(p => inEra(p))) : null;
+
+  participants = room.members.map(m => ({
+    name: m.name,
+    position: 'PG',
+    attributes: {},
+    team: {},
+    teamName: m.name,
+    controller: 'human',
+    budget: capMode ? draftSlots().length * CAP_PER_SLOT : null,
+    // rooms have no rerolls, but the pool and history code expects the same fields as startGame's
+    rerollsLeft: 0,
+    rerolls: {},
+    locks: {},
+    poolHistory: []
+  }));
+  draftState = startSnakeDraft();
+}
+
+function applyRoomPick(pick) {
+  const p = draftState.pool.find(pl => playerId(pl) === pick.playerId);
+  if (!p) {
+    alert(`${pick.playerName} is missing from this device's pool. Check that everyone has the same data files.`);
+    return;
+  }
+  recordSnakePick(pick.participantIndex, pick.key, p);
+  assignPick(pick.participantIndex, pick.key, p, gameMode === 'team');
+}
+
+function describeRoom(room) {
+  const names = room.members.map(m => m.name).join(', ');
+  const head = `Room ${room.code} (${room.members.length} in room: ${names})`;
+  if (!room.started) {
+    return roomState.memberIndex === room.hostIndex
+      ? `${head}. Share the code, then start the draft.`
+      : `${head}. Waiting for the host to start the draft.`;
+  }
+  if (room.onTheClock !== null) {
+    const you = room.onTheClock === roomState.memberIndex ? ' (you)' : '';
+    return `${head}. Pick ${room.pickNumber + 1} of ${room.totalPicks}: ${room.members[room.onTheClock].name}${you} is on the clock.`;
+  }
+  return room.result ? `${head}. Draft complete. Results are in.` : `${head}. Draft complete. Waiting for the host's sim.`;
+}
+
+/**
+ * Applies a broadcast room snapshot: starts the local game once, replays
+ * new picks in order, and shows the single shared result. The host runs
+ * the sim when the last pick lands; the server keeps only the first post.
+ */
+function applyRoomState(room) {
+  if (!roomState || room.code !== roomState.code) return;
+
+  if (room.started && !roomState.started) {
+    setupRoomGame(room);
+    roomState.started = true;
+  }
+  if (roomState.started) {
+    room.picks.slice(roomState.appliedPicks).forEach(applyRoomPick);
+    roomState.appliedPicks = room.picks.length;
+    renderGame();
+  }
+
+  setRoomStatus(describeRoom(room));
+
+  if (room.result && !roomState.resultShown) {
+    document.getElementById('simulationResult').textContent = room.result;
+    roomState.resultShown = true;
+  } else if (!room.result && room.started && room.onTheClock === null &&
+             roomState.memberIndex === room.hostIndex && !roomState.resultSent) {
+    roomState.resultSent = true;
+    submitRoomResult();
+  }
+}
+
+async function submitRoomPick(i, key, p, isTeam) {
+  const violation = capViolation(i, key, p, isTeam);
+  if (violation) {
+    alert(violation);
+    return false;
+  }
+  try {
+    await roomRequest(`/api/rooms/${roomState.code}/picks`, {
+      memberId: roomState.memberId,
+      key,
+      player: { id: playerId(p), name: p.Name }
+    });
+    return true;
+  } catch (err) {
+    alert(`Pick rejected: ${err.message}`);
+    return false;
+  }
+}
+
+async function submitRoomResult() {
+  const text = runDeterministicSim();
+  if (!text) return;
+  try {
+    await roomRequest(`/api/rooms/${roomState.code}/result`, { memberId: roomState.memberId, text });
+  } catch (err) {
+    alert(`Could not share the result: ${err.message}`);
+  }
+}
+
+/* =========================
+   SAVED SESSIONS
+   ========================= */
+const SESSION_STORAGE_KEY = 'nbaDraftSessions';
+const SESSION_FILE_VERSION = 1;
+const MAX_SAVED_SESSIONS = 20;
+const NAME_MAX_LENGTH = 40;
+const MAX_PARTICIPANTS = 6;
+
+let activeSessionId = null;
+
+/** Participant and team names: short strings without markup or control characters. */
+function isPlainName(value) {
+  return typeof value === 'string' && value.length <= NAME_MAX_LENGTH && !/[<>\u0000-\u001f]/.test(value);
+}
+
+function cleanParticipantName(value) {
+  return String(value ?? '').replace(/[<>\u0000-\u001f]/g, '').slice(0, NAME_MAX_LENGTH);
+}
+
+/**
+ * Saved sessions can come from a file or an old browser, so check the shape
+ * and every string before any of it reaches the page.
+ */
+function validateSessionState(state) {
+  const invalid = reason => new Error(`This session file is invalid: ${reason}.`);
+  if (!state || state.version !== SESSION_FILE_VERSION || !Array.isArray(state.participants) || !Array.isArray(state.picks)) {
+    throw new Error('This is not a saved draft session file.');
+  }
+  if (state.settings != null && typeof state.settings !== 'object') throw invalid('settings must be an object');
+  const era = state.settings && state.settings.era;
+  if (era != null && !['all', ...ERA_OPTIONS].includes(era)) throw invalid('the era is not one of the known eras');
+  const n = state.participants.length;
+  if (n < 1 || n > MAX_PARTICIPANTS) throw invalid(`it needs 1 to ${MAX_PARTICIPANTS} participants`);
+  state.participants.forEach((p, i) => {
+    if (!p || typeof p !== 'object') throw invalid(`participant ${i + 1} is not an object`);
+    if (p.name != null && !isPlainName(p.name)) throw invalid(`participant ${i + 1} has a bad name`);
+    if (p.teamName != null && !isPlainName(p.teamName)) throw invalid(`participant ${i + 1} has a bad team name`);
+    if (p.position != null && !TEAM_SLOTS.includes(p.position)) throw invalid(`participant ${i + 1} has an unknown position`);
+    if (p.poolHistory != null && !Array.isArray(p.poolHistory)) throw invalid(`participant ${i + 1} has a bad pool history`);
+  });
+  state.picks.forEach((pick, i) => {
+    if (!pick || !Number.isInteger(pick.participantIndex) || typeof pick.key !== 'string' || typeof pick.playerId !== 'string') {
+      throw invalid(`pick ${i + 1} is malformed`);
+    }
+  });
+  if (state.result != null && typeof state.result !== 'string') throw invalid('the saved result is not text');
+}
+
+// Pool history only ever holds slot keys, counts and player names.
+function cleanPoolHistory(history) {
+  return (history || []).filter(entry =>
+    entry && typeof entry.key === 'string' && Number.isInteger(entry.reroll) &&
+    Array.isArray(entry.names) && entry.names.every(name => typeof name === 'string') &&
+    (entry.picked == null || typeof entry.picked === 'string')
+  );
+}
+
+function loadSavedSessions() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function storeSavedSessions(sessions) {
+  try {
+    localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(sessions.slice(0, MAX_SAVED_SESSIONS)));
+  } catch {
+    // storage full or disabled; the session just isn't persisted
+  }
+}
+
+/** Picks in the order they were made, so a snake draft replays exactly. */
+function sessionPicks() {
+  if (draftState) {
+    return draftState.picks.map(pk => ({ participantIndex: pk.participantIndex, key: pk.key, playerId: playerId(pk.player) }));
+  }
+  const isTeam = gameMode === 'team';
+  const picks = [];
+  participants.forEach((participant, i) => {
+    Object.entries(isTeam ? participant.team : participant.attributes).forEach(([key, value]) => {
+      const pl = isTeam ? value : value?.player;
+      if (pl) picks.push({ participantIndex: i, key, playerId: playerId(pl) });
+    });
+  });
+  return picks;
+}
+
+function serializeSession() {
+  return {
+    version: SESSION_FILE_VERSION,
+    settings: {
+      gameMode,
+      era: eraFilter,
+      seed: sessionSeed,
+      draftType,
+      rosterSize,
+      capMode,
+      positionLocked,
+      eraAdjust,
+      rerollLimit,
+      lockReroll,
+      format: document.getElementById('tournamentFormat')?.value || 'single',
+      detail: document.getElementById('simDetail')?.value || 'full',
+      seriesLength: parseInt(document.getElementById('seriesLength')?.value, 10) || 1,
+      leagueGames: parseInt(document.getElementById('leagueGames')?.value, 10) || 4
+    },
+    participants: participants.map(p => ({
+      name: p.name,
+      position: p.position,
+      teamName: p.teamName,
+      controller: p.controller,
+      rerollsLeft: p.rerollsLeft,
+      rerolls: p.rerolls,
+      locks: Object.fromEntries(Object.entries(p.locks || {}).filter(([, pl]) => pl).map(([key, pl]) => [key, playerId(pl)])),
+      poolHistory: p.poolHistory
+    })),
+    picks: sessionPicks(),
+    result: document.getElementById('simulationResult')?.textContent || ''
+  };
+}
+
+function describeSession(state) {
+  const s = state.settings || {};
+  const slotsEach = s.gameMode === 'team' ? (ROTATION_MINUTES[s.rosterSize] || TEAM_SLOTS).length : ATTRIBUTES.length;
+  const total = state.participants.length * slotsEach;
+  return [
+    s.gameMode === 'team' ? '5v5' : 'Attribute',
+    s.draftType === 'snake' ? 'snake draft' : 'independent pools',
+    `${state.participants.length} participants`,
+    `${state.picks.length}/${total} picks`,
+    state.result ? 'result saved' : null
+  ].filter(Boolean).join(' · ');
+}
+
+/** Writes the current game to the active saved session, creating it if needed. */
+function saveActiveSession() {
+  if (!participants.length || roomState) return;
+  const sessions = loadSavedSessions();
+  const existing = sessions.find(entry => entry.id === activeSessionId);
+  const entry = {
+    id: existing ? existing.id : `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: existing ? existing.name : `${gameMode === 'team' ? '5v5' : 'Attribute'} draft - ${new Date().toLocaleString()}`,
+    savedAt: new Date().toISOString(),
+    state: serializeSession()
+  };
+  activeSessionId = entry.id;
+  storeSavedSessions([entry, ...sessions.filter(other => other.id !== entry.id)]);
+  renderSessionList();
+}
+
+/**
+ * Rebuilds globals, controls and picks from a serialized session. Snake
+ * drafts regenerate their seeded pool and replay the picks in order.
+ */
+function restoreSession(state) {
+  validateSessionState(state);
+  if (roomState) leaveRoom();
+  const s = state.settings || {};
+  gameMode = s.gameMode === 'team' ? 'team' : 'attribute';
+  eraFilter = s.era || 'all';
+  sessionSeed = Number.isFinite(s.seed) ? s.seed >>> 0 : randomSessionSeed();
+  draftType = s.draftType === 'snake' ? 'snake' : 'independent';
+  rosterSize = ROTATION_MINUTES[s.rosterSize] ? s.rosterSize : 5;
+  capMode = Boolean(s.capMode);
+  positionLocked = Boolean(s.positionLocked);
+  eraAdjust = Boolean(s.eraAdjust);
+  rerollLimit = Number.isInteger(s.rerollLimit) && s.rerollLimit > 0 ? s.rerollLimit : 0;
+  lockReroll = Boolean(s.lockReroll);
+  salaryMap = capMode ? buildSalaryMap(players.filter(p => inEra(p))) : null;
+  const byId = new Map(players.map(p => [playerId(p), p]));
+
+  const controls = {
+    gameMode, era: eraFilter, sessionSeed: String(sessionSeed), draftType, rosterSize: String(rosterSize),
+    numParticipants: String(state.participants.length), tournamentFormat: s.format, simDetail: s.detail,
+    seriesLength: s.seriesLength ? String(s.seriesLength) : null,
+    rerollLimit: String(rerollLimit),
+    leagueGames: s.leagueGames ? String(s.leagueGames) : null
+  };
+  Object.entries(controls).forEach(([id, value]) => {
+    const el = document.getElementById(id);
+    if (el && value) el.value = value;
+  });
+  const checkboxes = { capModeToggle: capMode, positionLockToggle: positionLocked, eraAdjustToggle: eraAdjust, lockRerollToggle: lockReroll };
+  Object.entries(checkboxes).forEach(([id, checked]) => {
+    const el = document.getElementById(id);
+    if (el) el.checked = checked;
+  });
+
+  participants = state.participants.map((p, i) => ({
+    name: p.name || `Participant ${i + 1}`,
+    position: p.position || 'PG',
+    attributes: {},
+    team: {},
+    teamName: p.teamName || null,
+    controller: CPU_STRATEGIES[p.controller] ? p.controller : 'human',
+    budget: capMode ? draftSlots().length * CAP_PER_SLOT : null,
+    rerollsLeft: Number.isInteger(p.rerollsLeft) ? Math.min(p.rerollsLeft, rerollLimit) : rerollLimit,
+    rerolls: Object.fromEntries(Object.entries(p.rerolls || {}).filter(([, count]) => Number.isInteger(count))),
+    locks: Object.fromEntries(Object.entries(p.locks || {}).map(([key, id]) => [key, byId.get(id) || null])),
+    poolHistory: cleanPoolHistory(p.poolHistory)
+  }));
+  draftState = draftType === 'snake' ? startSnakeDraft() : null;
+
+  const isTeam = gameMode === 'team';
+  const validKeys = isTeam ? teamSlots() : ATTRIBUTES;
+  const missing = [];
+  state.picks.forEach(pick => {
+    const p = byId.get(pick.playerId);
+    if (!p || !participants[pick.participantIndex] || !validKeys.includes(pick.key)) {
+      missing.push(String(pick.playerId || '').split('|')[0] || 'unknown');
+      return;
+    }
+    if (draftState) recordSnakePick(pick.participantIndex, pick.key, p);
+    assignPick(pick.participantIndex, pick.key, p, isTeam);
+  });
+
+  const output = document.getElementById('simulationResult');
+  if (output) output.textContent = state.result || '';
+  if (missing.length) alert(`Some saved picks could not be found in the current data and were skipped: ${missing.join(', ')}`);
+}
+
+function resumeSession(id) {
+  const entry = loadSavedSessions().find(s => s.id === id);
+  if (!entry) return;
+  try {
+    restoreSession(entry.state);
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  activeSessionId = entry.id;
+  runCpuTurns();
+}
+
+function renameSession(id) {
+  const sessions = loadSavedSessions();
+  const entry = sessions.find(s => s.id === id);
+  if (!entry) return;
+  const name = prompt('Session name:', entry.name);
+  if (name === null || !name.trim()) return;
+  entry.name = name.trim().slice(0, 80);
+  storeSavedSessions(sessions);
+  renderSessionList();
+}
+
+function deleteSession(id) {
+  const sessions = loadSavedSessions();
+  const entry = sessions.find(s => s.id === id);
+  if (!entry || !confirm(`Delete "${entry.name}"?`)) return;
+  if (activeSessionId === id) activeSessionId = null;
+  storeSavedSessions(sessions.filter(s => s.id !== id));
+  renderSessionList();
+}
+
+function exportSession() {
+  if (!participants.length) {
+    alert('Start a game before exporting a session.');
+    return;
+  }
+  saveActiveSession();
+  const entry = loadSavedSessions().find(s => s.id === activeSessionId);
+  const file = { name: entry?.name || 'NBA draft session', savedAt: new Date().toISOString(), state: serializeSession() };
+  const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${file.name.replace(/[^\w-]+/g, '_')}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+async function importSession(event) {
+  const input = event.target;
+  const file = input.files && input.files[0];
+  if (!file) return;
+  try {
+    const data = JSON.parse(await file.text());
+    restoreSession(data.state || data);
+    activeSessionId = null;
+    saveActiveSession();
+    if (data.name) {
+      const sessions = loadSavedSessions();
+      sessions[0].name = String(data.name).slice(0, 80);
+      storeSavedSessions(sessions);
+      renderSessionList();
+    }
+    runCpuTurns();
+  } catch (err) {
+    alert(err instanceof SyntaxError ? 'That file is not valid JSON.' : err.message);
+  } finally {
+    input.value = '';
+  }
+}
+
+function renderSessionList() {
+  const list = document.getElementById('sessionList');
+  if (!list) return;
+  const sessions = loadSavedSessions();
+  list.innerHTML = '';
+  if (!sessions.length) {
+    list.innerHTML = '<div class="status">No saved sessions yet. Games save here as you draft.</div>';
+    return;
+  }
+  sessions.forEach(entry => {
+    const row = document.createElement('div');
+    row.className = entry.id === activeSessionId ? 'session-item active' : 'session-item';
+    const info = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = entry.name;
+    const meta = document.createElement('div');
+    meta.className = 'status';
+    meta.textContent = `${describeSession(entry.state)} · saved ${new Date(entry.savedAt).toLocaleString()}`;
+    info.append(name, meta);
+
+    const actions = document.createElement('div');
+    actions.className = 'session-actions';
+    [['Resume', resumeSession], ['Rename', renameSession], ['Delete', deleteSession]].forEach(([label, handler]) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'dice-btn';
+      btn.textContent = label;
+      btn.onclick = () => handler(entry.id);
+      actions.appendChild(btn);
+    });
+    row.append(info, actions);
+    list.appendChild(row);
+  });
+}
+
+/* =========================
+   SHARE LINKS
+   ========================= */
+const SHARE_HASH_PREFIX = '#share=';
+const SHARE_VERSION = 1;
+
+function toBase64Url(text) {
+  let bin = '';
+  new TextEncoder().encode(text).forEach(byte => { bin += String.fromCharCode(byte); });
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const b64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+  return new TextDecoder().decode(Uint8Array.from(bin, ch => ch.charCodeAt(0)));
+}
+
+/**
+ * Short keys keep the hash compact. Picks are listed in slot order, with
+ * 0 for an empty slot, and players are referenced by name and debut.
+ */
+function buildSharePayload() {
+  const s = serializeSession().settings;
+  const slots = gameMode === 'team' ? teamSlots() : ATTRIBUTES;
+  return {
+    v: SHARE_VERSION,
+    m: gameMode,
+    e: s.era,
+    s: s.seed,
+    r: s.rosterSize,
+    d: s.detail,
+    n: s.seriesLength,
+    f: s.format,
+    g: s.leagueGames,
+    a: eraAdjust ? 1 : 0,
+    mc: document.getElementById('monteCarlo')?.checked ? 1 : 0,
+    p: participants.map(p => {
+      const picks = slots.map(key => {
+        const pl = gameMode === 'team' ? p.team[key] : p.attributes[key]?.player;
+        return pl ? playerId(pl) : 0;
+      });
+      return [p.name, p.position, p.teamName || 0, picks];
+    })
+  };
+}
+
+/** Expands a share payload into the saved-session shape restoreSession takes. */
+function shareToSessionState(payload) {
+  if (!payload || payload.v !== SHARE_VERSION || !Array.isArray(payload.p)) {
+    throw new Error('This share link is invalid or from a newer version of the game.');
+  }
+  // links come from anyone, so every name must be a short plain string before it gets near the page
+  if (!payload.p.length || payload.p.length > MAX_PARTICIPANTS) {
+    throw new Error('This share link has the wrong number of participants.');
+  }
+  payload.p.forEach((entry, i) => {
+    const ok = Array.isArray(entry) && isPlainName(entry[0]) &&
+      (entry[1] == null || TEAM_SLOTS.includes(entry[1])) &&
+      (!entry[2] || isPlainName(entry[2])) &&
+      (!entry[3] || (Array.isArray(entry[3]) && entry[3].every(id => !id || typeof id === 'string')));
+    if (!ok) throw new Error(`This share link has an invalid entry for participant ${i + 1}.`);
+  });
+  if (payload.e != null && !['all', ...ERA_OPTIONS].includes(payload.e)) {
+    throw new Error('This share link has an unknown era.');
+  }
+  const isTeam = payload.m === 'team';
+  const rosterSize = ROTATION_MINUTES[payload.r] ? payload.r : 5;
+  const slots = isTeam ? [...TEAM_SLOTS, ...BENCH_SLOTS].slice(0, rosterSize) : ATTRIBUTES;
+  const picks = [];
+  payload.p.forEach((entry, participantIndex) => {
+    (entry[3] || []).forEach((id, idx) => {
+      if (id && slots[idx]) picks.push({ participantIndex, key: slots[idx], playerId: id });
+    });
+  });
+  return {
+    version: SESSION_FILE_VERSION,
+    settings: {
+      gameMode: isTeam ? 'team' : 'attribute',
+      era: payload.e,
+      seed: payload.s,
+      draftType: 'independent',
+      rosterSize,
+      capMode: false,
+      positionLocked: false,
+      eraAdjust: Boolean(payload.a),
+      format: payload.f,
+      detail: payload.d,
+      seriesLength: payload.n,
+      leagueGames: payload.g
+    },
+    participants: payload.p.map(entry => ({
+      name: entry[0],
+      position: entry[1],
+      teamName: entry[2] || null,
+      controller: 'human'
+    })),
+    picks,
+    result: ''
+  };
+}
+
+function copyShareLink() {
+  const status = document.getElementById('shareStatus');
+  if (!participants.length) {
+    alert('Start a game and make picks before sharing.');
+    return;
+  }
+  const hash = `${SHARE_HASH_PREFIX}${toBase64Url(JSON.stringify(buildSharePayload()))}`;
+  const url = `${location.origin}${location.pathname}${hash}`;
+  history.replaceState(null, '', hash);
+  const done = () => { if (status) status.textContent = `Link copied (${url.length} characters). Anyone opening it sees this exact matchup.`; };
+  if (navigator.clipboard?.writeText) {
+    navigator.clipboard.writeText(url).then(done, () => prompt('Copy this link:', url));
+  } else {
+    prompt('Copy this link:', url);
+  }
+}
+
+/** Rebuilds and re-runs the matchup in a #share= hash, if there is one. */
+function loadSharedMatchup() {
+  if (!location.hash.startsWith(SHARE_HASH_PREFIX)) return;
+  let state;
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(location.hash.slice(SHARE_HASH_PREFIX.length)));
+    state = shareToSessionState(payload);
+    restoreSession(state);
+  } catch (err) {
+    alert(err instanceof Error && !(err instanceof SyntaxError) && err.message.startsWith('This share link')
+      ? err.message
+      : 'This share link is damaged and could not be read.');
+    return;
+  }
+  const monteCarlo = document.getElementById('monteCarlo');
+  if (monteCarlo) monteCarlo.checked = Boolean(payload.mc);
+  activeSessionId = null;
+  renderGame();
+  runDeterministicSim();
+}
+
+/* =========================
+   RENDER
+   ========================= */
+function renderGame() {
+  const area = document.getElementById('gameArea');
+  area.innerHTML = '';
+  if (draftState) renderDraftStatus(area);
+  const clock = onTheClock();
+
+  participants.forEach((p, i) => {
+    const card = document.createElement('div');
+    card.className = draftState && clock === i ? 'participant on-clock' : 'participant';
+
+    const nameField = gameMode === 'team'
+      ? `
+        <label>Team Name</label>
+        <input value="${escapeHtml(p.teamName)}" maxlength="${NAME_MAX_LENGTH}" onchange="participants[${i}].teamName=this.value=cleanParticipantName(this.value)" placeholder="Required for 5v5">
+      `
+      : `
+        <label>Name</label>
+        <input value="${escapeHtml(p.name)}" maxlength="${NAME_MAX_LENGTH}" onchange="participants[${i}].name=this.value=cleanParticipantName(this.value)">
+      `;
+
+    const controllerOptions = [['human', 'Human'], ...Object.entries(CPU_STRATEGIES)]
+      .map(([value, label]) => `<option value="${value}" ${p.controller === value ? 'selected' : ''}>${label}</option>`)
+      .join('');
+
+    const controllerField = roomState ? '' : `
+      <label>Controller</label>
+      <select onchange="setController(${i}, this.value)">${controllerOptions}</select>
+    `;
+
+    card.innerHTML = `
+      <h3>Participant ${i + 1}${roomState && roomState.memberIndex === i ? ' (You)' : ''}</h3>
+      ${controllerField}
+      ${nameField}
+      <label>Position</label>
+      <select onchange="participants[${i}].position=this.value">
+        <option ${p.position === 'PG' ? 'selected' : ''}>PG</option>
+        <option ${p.position === 'SG' ? 'selected' : ''}>SG</option>
+        <option ${p.position === 'SF' ? 'selected' : ''}>SF</option>
+        <option ${p.position === 'PF' ? 'selected' : ''}>PF</option>
+        <option ${p.position === 'C' ? 'selected' : ''}>C</option>
+      </select>
+      ${capMode ? `<div class="status">Cap: ${formatSalary(capSpent(p))} of ${formatSalary(p.budget)} used, ${formatSalary(p.budget - capSpent(p))} left</div>` : ''}
+      ${rerollsEnabled() ? `<div class="status">Rerolls left: ${p.rerollsLeft} of ${rerollLimit}</div>` : ''}
+      <div class="rows"></div>
+    `;
+
+    const rows = card.querySelector('.rows');
+
+    if (gameMode === 'attribute') {
+      ATTRIBUTES.forEach(attr => {
+        rows.appendChild(attributeRow(i, attr, p));
+      });
+    } else {
+      teamSlots().forEach(pos => {
+        rows.appendChild(teamRow(i, pos, p));
+      });
+    }
+
+    if (p.poolHistory?.length) card.appendChild(buildPoolHistory(p));
+
+    area.appendChild(card);
+  });
+  saveActiveSession();
+}
+
+/* =========================
+   ATTRIBUTE ROW
+   ========================= */
+function attributeRow(i, attr, participant) {
+  const row = document.createElement('div');
+  row.className = 'attr-row';
+
+  const label = document.createElement('div');
+  label.className = 'attr-label';
+  label.textContent = attr.toUpperCase();
+
+  const value = document.createElement('div');
+  value.className = 'attr-value';
+  const selected = participant?.attributes?.[attr];
+  // from the player, so the number follows the era-adjustment toggle like the pick rows do
+  const shown = selected?.player ? attributeValue(statView(selected.player), attr) : selected?.value;
+  const val = Number.isFinite(shown) ? shown.toFixed(2) : '';
+  const display = selected ? `${selected.source}${val ? ` (${val})` : ''}` : '';
+  value.innerHTML = `<input readonly placeholder="Not chosen" value="${display}">`;
+
+  const btn = document.createElement('button');
+  btn.className = 'dice-btn';
+  btn.textContent = 'Pick';
+  btn.disabled = isCpu(participant) || !canPickSlot(i, attr, false);
+  btn.onclick = () => openModal(i, attr);
+
+  row.append(label, value, btn);
+  return row;
+}
+
+/* =========================
+   TEAM ROW
+   ========================= */
+function teamRow(i, pos, participant) {
+  const row = document.createElement('div');
+  row.className = 'attr-row';
+
+  const selected = participant?.team?.[pos];
+  const display = selected ? `${selected.Name}` : '';
+  row.innerHTML = `
+    <div class="attr-label">${slotLabel(pos)}</div>
+    <div class="attr-value"><input readonly placeholder="Empty" value="${display}"></div>
+    <button class="dice-btn">Pick</button>
+  `;
+
+  const btn = row.querySelector('button');
+  btn.disabled = isCpu(participant) || !canPickSlot(i, pos, true);
+  btn.onclick = () => openModal(i, pos, true);
+
+  return row;
+}
+
+/* =========================
+   REROLLS
+   ========================= */
+// Snake drafts and rooms share one pool, so there is nothing to reroll.
+function rerollsEnabled() {
+  return !draftState && !roomState && rerollLimit > 0;
+}
+
+function rerollCount(participant, key) {
+  return participant?.rerolls?.[key] || 0;
+}
+
+function rerollPool(i, key, isTeam) {
+  const participant = participants[i];
+  if (!rerollsEnabled() || participant.rerollsLeft <= 0) return;
+  participant.rerollsLeft -= 1;
+  participant.rerolls = { ...participant.rerolls, [key]: rerollCount(participant, key) + 1 };
+  renderGame();
+  openModal(i, key, isTeam);
+}
+
+/** Locking a player keeps them in the pool through the next rerolls of this slot. */
+function toggleLock(i, key, p, isTeam) {
+  const locks = participants[i].locks || (participants[i].locks = {});
+  locks[key] = locks[key] === p ? null : p;
+  openModal(i, key, isTeam);
+}
+
+/** Logs each distinct pool a participant is shown, once per slot and reroll. */
+function recordPoolSeen(i, key, pool) {
+  const participant = participants[i];
+  if (!participant.poolHistory) return;
+  const reroll = rerollCount(participant, key);
+  if (participant.poolHistory.some(entry => entry.key === key && entry.reroll === reroll)) return;
+  participant.poolHistory.push({ key, reroll, names: pool.map(p => p.Name), picked: null });
+}
+
+function buildRerollBar(i, key, isTeam) {
+  const participant = participants[i];
+  const locked = lockReroll ? participant.locks?.[key] : null;
+  const bar = document.createElement('div');
+  bar.className = 'reroll-bar';
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'dice-btn';
+  btn.textContent = 'Reroll Pool';
+  btn.disabled = participant.rerollsLeft <= 0;
+  btn.onclick = () => rerollPool(i, key, isTeam);
+  const note = document.createElement('span');
+  note.className = 'status';
+  const lockNote = locked
+    ? ` · ${locked.Name} is locked and stays on reroll`
+    : ' · Lock one player to keep them on reroll';
+  note.textContent = `Rerolls left: ${participant.rerollsLeft} of ${rerollLimit}${lockReroll ? lockNote : ''}`;
+  bar.append(btn, note);
+  return bar;
+}
+
+function addLockButton(tr, i, key, p, isTeam) {
+  const locked = participants[i].locks?.[key] === p;
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = locked ? 'dice-btn locked' : 'dice-btn';
+  btn.textContent = locked ? 'Unlock' : 'Lock';
+  btn.onclick = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    toggleLock(i, key, p, isTeam);
+  };
+  const cell = tr.querySelector('button')?.parentElement;
+  if (cell) cell.appendChild(btn);
+}
+
+function buildPoolHistory(participant) {
+  const details = document.createElement('details');
+  details.className = 'pool-history';
+  const summary = document.createElement('summary');
+  summary.textContent = `Pools seen (${participant.poolHistory.length})`;
+  details.appendChild(summary);
+  participant.poolHistory.forEach(entry => {
+    const line = document.createElement('div');
+    line.className = 'status';
+    line.textContent = `${slotLabel(entry.key)} pool ${entry.reroll + 1}: ${entry.names.join(', ')}${entry.picked ? ` -> picked ${entry.picked}` : ''}`;
+    details.appendChild(line);
+  });
+  return details;
+}
+
+/* =========================
+   MODAL
+   ========================= */
+
+/**
+ * The players offered for one slot: the seeded 10-player pool, or every
+ * player left in the shared pool during a snake draft.
+ */
+function buildPickPool(participantIndex, key, isTeam) {
+  let pool = players.filter(p => inEra(p));
+  if (isTeam && positionLocked && TEAM_SLOTS.includes(key)) {
+    pool = pool.filter(p => positionMatchesSlot(p.PositionArr, key));
+  }
+  if (draftState) {
+    const remaining = new Set(draftState.pool);
+    return pool.filter(p => remaining.has(p));
+  }
+  const participant = participants[participantIndex];
+  const reroll = rerollCount(participant, key);
+  const label = reroll ? `pool:${participantIndex}:${key}:reroll${reroll}` : `pool:${participantIndex}:${key}`;
+  const shuffled = shuffleInPlace(sessionRng(label), pool.slice());
+  const locked = lockReroll ? participant.locks?.[key] : null;
+  if (locked && pool.includes(locked)) return [locked, ...shuffled.filter(p => p !== locked)].slice(0, 10);
+  return shuffled.slice(0, 10);
+}
+
+function openModal(participantIndex, key, isTeam = false) {
+  if (!canPickSlot(participantIndex, key, isTeam)) {
+    const clock = onTheClock();
+    alert(clock === null
+      ? 'The draft is complete.'
+      : `${participantLabel(participants[clock])} is on the clock.`);
+    return;
+  }
+
+  const modal = document.getElementById('modalOverlay');
+  const body = document.getElementById('modalBody');
+  const title = document.getElementById('modalTitle');
+  const legend = document.getElementById('modalLegend');
+  if (legend) legend.style.display = '';
+  title.textContent = draftState
+    ? `Pick #${draftState.pickNumber + 1} - ${participantLabel(participants[participantIndex])} (${slotLabel(key)})`
+    : 'Select a Player';
+  body.innerHTML = '';
+
+  const availableStats = getAvailableStats();
+  const context = buildStatContext(players.filter(p => inEra(p)).map(statView), availableStats);
+  const buildRow = p => buildPickRow(participantIndex, key, isTeam, p, availableStats, context);
+
+  if (capMode) {
+    const participant = participants[participantIndex];
+    const capNote = document.createElement('p');
+    capNote.className = 'muted';
+    capNote.textContent = `Cap remaining: ${formatSalary(participant.budget - capSpent(participant))} of ${formatSalary(participant.budget)}`;
+    body.appendChild(capNote);
+  }
+
+  if (isBrowseMode()) {
+    renderBrowsePanel(body, availableStats, buildRow, {
+      era: eraFilter,
+      slotRole: isTeam && positionLocked ? SLOT_ROLES[key] : null,
+      rowids: draftState ? draftState.pool.map(p => playerRowids.get(p)) : null
+    });
+  } else {
+    const pool = buildPickPool(participantIndex, key, isTeam);
+    if (!draftState) recordPoolSeen(participantIndex, key, pool);
+    if (rerollsEnabled()) body.appendChild(buildRerollBar(participantIndex, key, isTeam));
+    const table = buildPickTable(availableStats);
+    const tb = table.querySelector('tbody');
+    pool.forEach(p => {
+      const tr = buildRow(p);
+      if (rerollsEnabled() && lockReroll) addLockButton(tr, participantIndex, key, p, isTeam);
+      tb.appendChild(tr);
+    });
+    body.appendChild(table);
+  }
+  applyStatVisibility();
+  modal.classList.remove('hidden');
+  document.getElementById('modalClose').onclick =
+    () => modal.classList.add('hidden');
+}
+
+function buildPickTable(availableStats) {
+  const table = document.createElement('table');
+  table.className = 'pick-table';
+  const headerStats = availableStats
+    .map(stat => `<th data-stat="${stat}" data-sort="${stat}">${STAT_LABELS[stat] || stat}</th>`)
+    .join('');
+  table.innerHTML = `
+    <thead>
+      <tr>
+        <th data-sort="Name">Name</th><th>Pos</th>${capMode ? '<th>Price</th>' : ''}${headerStats}<th></th>
+      </tr>
+    </thead>
+    <tbody></tbody>
+  `;
+  return table;
+}
+
+function buildPickRow(participantIndex, key, isTeam, p, availableStats, context) {
+  const modal = document.getElementById('modalOverlay');
+  const posGroup = getPositionGroup(p.PositionArr);
+  const tr = document.createElement('tr');
+  const view = statView(p);
+  const statCells = availableStats.map(stat => {
+    const value = view[stat];
+    const cls = statClass(value, stat, posGroup, context);
+    return `<td data-stat="${stat}" class="${cls}">${formatStatValue(value, stat)}</td>`;
+  }).join('');
+  const priceCell = capMode ? `<td>${formatSalary(salaryOf(p))}</td>` : '';
+  if (capMode && capViolation(participantIndex, key, p, isTeam)) tr.className = 'over-cap';
+  tr.innerHTML = `
+    <td>${p.Name}</td>
+    <td>${p.Position}</td>
+    ${priceCell}
+    ${statCells}
+    <td><button type="button" class="dice-btn">Select</button></td>
+  `;
+
+  const selectHandler = () => {
+    if (roomState) {
+      submitRoomPick(participantIndex, key, p, isTeam).then(ok => {
+        if (ok) modal.classList.add('hidden');
+      });
+      return;
+    }
+    if (!selectPlayer(participantIndex, key, p, isTeam)) return;
+    modal.classList.add('hidden');
+    runCpuTurns();
+  };
+  const btn = tr.querySelector('button');
+  if (btn) {
+    btn.onclick = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      selectHandler();
+    };
+  }
+  tr.onclick = selectHandler;
+  return tr;
+}
+
+/* =========================
+   BROWSE MODE
+   ========================= */
+const BROWSE_PAGE_SIZE = 25;
+const ERA_OPTIONS = ['1980s', '1990s', '2000s', '2010s', '2020s'];
+
+const playerRowids = new Map(); // player -> SQLite rowid
+const playersByRowid = new Map(); // SQLite rowid -> player
+
+function isBrowseMode() {
+  return !!document.getElementById('browseModeToggle')?.checked;
+}
+
+/**
+ * Turns browse filters into a parameterised WHERE clause. The game's own
+ * limits (era, position lock, what is left of a snake pool) always apply.
+ */
+function buildBrowseWhere(filters, limits) {
+  const clauses = [];
+  const params = [];
+  if (filters.name) {
+    clauses.push('Name LIKE ?');
+    params.push(`%${filters.name}%`);
+  }
+  if (filters.position) {
+    clauses.push('Position LIKE ?');
+    params.push(`%${filters.position}%`);
+  }
+  const era = limits.era !== 'all' ? limits.era : filters.era;
+  if (era && era !== 'all') {
+    const start = parseInt(era.slice(0, 4), 10);
+    clauses.push('Debut >= ? AND Debut < ?');
+    params.push(start, start + 10);
+  }
+  if (filters.stat && hasCol(filters.stat)) {
+    if (Number.isFinite(filters.min)) {
+      clauses.push(`"${filters.stat}" >= ?`);
+      params.push(filters.min);
+    }
+    if (Number.isFinite(filters.max)) {
+      clauses.push(`"${filters.stat}" <= ?`);
+      params.push(filters.max);
+    }
+  }
+  if (limits.slotRole) {
+    clauses.push('Position LIKE ?');
+    params.push(`%${limits.slotRole}%`);
+  }
+  if (limits.rowids) {
+    clauses.push(`rowid IN (${limits.rowids.map(() => '?').join(', ') || 'NULL'})`);
+    params.push(...limits.rowids);
+  }
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+/** One page of matching players, plus the total match count. */
+function queryBrowsePage(filters, limits) {
+  if (eraAdjust) return queryAdjustedBrowsePage(filters, limits);
+  const { where, params } = buildBrowseWhere(filters, limits);
+
+  const countStmt = db.prepare(`SELECT COUNT(*) FROM players ${where}`);
+  countStmt.bind(params);
+  countStmt.step();
+  const total = countStmt.get()[0];
+  countStmt.free();
+
+  const sortCol = filters.sort === 'Name' || hasCol(filters.sort) ? filters.sort : 'Name';
+  const dir = filters.dir === 'asc' ? 'ASC' : 'DESC';
+  const stmt = db.prepare(
+    `SELECT rowid FROM players ${where} ` +
+    `ORDER BY "${sortCol}" IS NULL, "${sortCol}" ${dir}, Name LIMIT ? OFFSET ?`
+  );
+  stmt.bind([...params, BROWSE_PAGE_SIZE, filters.page * BROWSE_PAGE_SIZE]);
+  const rows = [];
+  while (stmt.step()) {
+    const p = playersByRowid.get(stmt.get()[0]);
+    if (p) rows.push(p);
+  }
+  stmt.free();
+  return { rows, total };
+}
+
+/**
+ * With era adjustment on the rows show adjusted stats, so the stat range and
+ * the sort run here on those numbers. SQL still applies every other filter.
+ */
+function queryAdjustedBrowsePage(filters, limits) {
+  const { where, params } = buildBrowseWhere({ ...filters, stat: '' }, limits);
+  const stmt = db.prepare(`SELECT rowid FROM players ${where}`);
+  stmt.bind(params);
+  let matches = [];
+  while (stmt.step()) {
+    const p = playersByRowid.get(stmt.get()[0]);
+    if (p) matches.push({ p, view: statView(p) });
+  }
+  stmt.free();
+
+  const valueOf = (view, col) => {
+    const v = view[col];
+    return v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Number(v);
+  };
+  if (filters.stat && hasCol(filters.stat)) {
+    matches = matches.filter(({ view }) => {
+      const v = valueOf(view, filters.stat);
+      if (Number.isFinite(filters.min) && (v === null || v < filters.min)) return false;
+      if (Number.isFinite(filters.max) && (v === null || v > filters.max)) return false;
+      return true;
+    });
+  }
+
+  const sortCol = filters.sort === 'Name' || hasCol(filters.sort) ? filters.sort : 'Name';
+  const sign = filters.dir === 'asc' ? 1 : -1;
+  const byName = (a, b) => (a.p.Name < b.p.Name ? -1 : a.p.Name > b.p.Name ? 1 : 0);
+  matches.sort((a, b) => {
+    if (sortCol === 'Name') return sign * byName(a, b);
+    const x = valueOf(a.view, sortCol);
+    const y = valueOf(b.view, sortCol);
+    if (x === null || y === null) return (x === null) - (y === null) || byName(a, b);
+    return sign * (x - y) || byName(a, b);
+  });
+
+  const start = filters.page * BROWSE_PAGE_SIZE;
+  return { rows: matches.slice(start, start + BROWSE_PAGE_SIZE).map(m => m.p), total: matches.length };
+}
+
+function renderBrowsePanel(body, availableStats, buildRow, limits) {
+  const filters = { name: '', position: '', era: 'all', stat: 'PTS', min: NaN, max: NaN, sort: 'PTS', dir: 'desc', page: 0 };
+  const eraLocked = limits.era !== 'all';
+  const eraOptions = (eraLocked ? [limits.era] : ['all', ...ERA_OPTIONS])
+    .map(era => `<option value="${escapeHtml(era)}">${era === 'all' ? 'All Eras' : escapeHtml(era)}</option>`)
+    .join('');
+  const statOptions = availableStats
+    .map(stat => `<option value="${escapeHtml(stat)}">${escapeHtml(STAT_LABELS[stat] || stat)}</option>`)
+    .join('');
+
+  const controls = document.createElement('div');
+  controls.className = 'browse-controls';
+  controls.innerHTML = `
+    <input data-filter="name" placeholder="Search name" />
+    <select data-filter="position">
+      <option value="">All Positions</option>
+      <option value="Guard">Guard</option>
+      <option value="Forward">Forward</option>
+      <option value="Center">Center</option>
+    </select>
+    <select data-filter="era" ${eraLocked ? 'disabled' : ''}>${eraOptions}</select>
+    <select data-filter="stat">${statOptions}</select>
+    <input data-filter="min" type="number" step="any" placeholder="Min" />
+    <input data-filter="max" type="number" step="any" placeholder="Max" />
+  `;
+
+  const table = buildPickTable(availableStats);
+  const tb = table.querySelector('tbody');
+  const pager = document.createElement('div');
+  pager.className = 'browse-pager';
+
+  const refresh = () => {
+    const { rows, total } = queryBrowsePage(filters, limits);
+    const pages = Math.max(1, Math.ceil(total / BROWSE_PAGE_SIZE));
+    tb.innerHTML = '';
+    rows.forEach(p => tb.appendChild(buildRow(p)));
+    table.querySelectorAll('th[data-sort]').forEach(th => {
+      const col = th.getAttribute('data-sort');
+      th.classList.toggle('sorted', col === filters.sort);
+      th.setAttribute('aria-sort', col === filters.sort ? (filters.dir === 'asc' ? 'ascending' : 'descending') : 'none');
+    });
+    pager.innerHTML = `
+      <button type="button" class="dice-btn" data-page="-1" ${filters.page === 0 ? 'disabled' : ''}>Prev</button>
+      <span class="muted">Page ${filters.page + 1} of ${pages} (${total} players)</span>
+      <button type="button" class="dice-btn" data-page="1" ${filters.page + 1 >= pages ? 'disabled' : ''}>Next</button>
+    `;
+    pager.querySelectorAll('button[data-page]').forEach(btn => {
+      btn.onclick = () => {
+        filters.page += Number(btn.getAttribute('data-page'));
+        refresh();
+      };
+    });
+    applyStatVisibility();
+  };
+
+  controls.querySelectorAll('[data-filter]').forEach(input => {
+    const key = input.getAttribute('data-filter');
+    const apply = () => {
+      filters[key] = key === 'min' || key === 'max'
+        ? (input.value === '' ? NaN : Number(input.value))
+        : input.value.trim();
+      filters.page = 0;
+      refresh();
+    };
+    // one event per control, so each change runs the query once
+    if (input.tagName === 'SELECT') input.onchange = apply;
+    else input.oninput = apply;
+  });
+  table.querySelectorAll('th[data-sort]').forEach(th => {
+    th.classList.add('sortable');
+    th.onclick = () => {
+      const col = th.getAttribute('data-sort');
+      filters.dir = filters.sort === col && filters.dir === 'desc' ? 'asc' : 'desc';
+      if (filters.sort !== col && col === 'Name') filters.dir = 'asc';
+      filters.sort = col;
+      filters.page = 0;
+      refresh();
+    };
+  });
+
+  body.append(controls, table, pager);
+  refresh();
+}
+
+function openStatsHelpModal() {
+  const modal = document.getElementById('modalOverlay');
+  const body = document.getElementById('modalBody');
+  const title = document.getElementById('modalTitle');
+  const legend = document.getElementById('modalLegend');
+  if (legend) legend.style.display = 'none';
+  title.textContent = 'How the Simulation Works';
+
+  body.innerHTML = `
+    <div class="card" style="box-shadow:none; margin:0;">
+      <p class="muted">
+        The draft mode compares the real career averages of the players you select.
+        Attribute mode combines each picked player’s stat into one custom profile.
+      </p>
+      <h3>Athleticism (ATH)</h3>
+      <pre class="sim-output" style="margin-top:6px; white-space:pre-wrap;">ATH = 0.45*perNorm + 0.20*fgBonus + 0.20*rebBonus + 0.10*durability + 0.05*heightBonus
+
+perNorm = clamp((PER-15)/10, -1.5, 1.5)
+fgBonus = (FG% - 0.45) * 4
+rebBonus = min(REB / 10, 1.2)
+durability = min(G / 1200, 1.0)
+heightBonus = (Height - 78) / 12</pre>
+      <p class="muted">
+        In plain English: ATH blends efficiency, shooting, rebounding, durability, and height into one score.
+      </p>
+
+      <h3>Advanced Metrics (Recruiter-Focused)</h3>
+      
+      <p><strong>Career Variance Index (CVI):</strong> Standard deviation of performance across seasons. Lower = more consistent; higher = volatile. Elite players maintain high averages with low variance.</p>
+      
+      <p><strong>Longevity Score:</strong> Number of seasons a player stays above replacement-level (career average - 0.5 std dev). Distinguishes one-hit wonders from durable veterans.</p>
       
       <p><strong>Peak vs Consistency Ratio:</strong> (Best season PPG) / (Career average PPG). Above 1.4 = sharp peak player; 1.0–1.15 = steady excellence. High-ratio players are often one-dimensional.</p>
       
@@ -773,33 +2423,295 @@ heightBonus = (Height - 78) / 12</pre>
     () => modal.classList.add('hidden');
 }
 
+/* =========================
+   PLAYER COMPARISON
+   ========================= */
+const COMPARE_STATS = ['PTS', 'TRB', 'AST', 'FG%', 'FG3%', 'FT%', 'eFG%', 'PER', 'WS', 'G', 'Height', 'Weight'];
+const COMPARE_SLOTS = ['compare1', 'compare2', 'compare3', 'compare4'];
+const POSITION_GROUP_NAMES = { G: 'guards', F: 'forwards', C: 'centers' };
+
+let compareData = null;
+
+function compareLabel(p) {
+  return `${p.Name} (${p.Debut})`;
+}
+
+// Number(null) is 0, so untracked stats have to be ruled out first.
+function hasStatValue(p, stat) {
+  return p[stat] !== null && p[stat] !== undefined && p[stat] !== '' && Number.isFinite(Number(p[stat]));
+}
+
+/**
+ * Every career with all comparison columns, plus position-group value
+ * lists for percentiles and all-player mean/std for similarity. Built on
+ * first use since the draft only loads a few columns.
+ */
+function loadCompareData() {
+  if (compareData) return compareData;
+  const stats = COMPARE_STATS.filter(stat => hasCol(stat));
+  const cols = ['Name', 'Debut', 'Final', 'Position', ...stats].filter(col => col === 'Name' || hasCol(col));
+  const res = db.exec(`SELECT ${cols.map(c => `"${c}"`).join(', ')} FROM players`);
+  const pool = (res[0]?.values || []).map(row => {
+    const obj = {};
+    res[0].columns.forEach((c, i) => { obj[c] = row[i]; });
+    obj.PositionArr = parsePosition(obj.Position);
+    return obj;
+  });
+
+  const groups = { G: {}, F: {}, C: {} };
+  const norms = {};
+  const context = { top10: {}, pos: { G: {}, F: {}, C: {} } };
+  stats.forEach(stat => {
+    const tracked = pool.filter(p => hasStatValue(p, stat));
+    const statContext = buildStatContext(tracked, [stat]);
+    context.top10[stat] = statContext.top10[stat];
+    ['G', 'F', 'C'].forEach(g => { context.pos[g][stat] = statContext.pos[g][stat]; });
+    norms[stat] = meanStd(tracked.map(p => Number(p[stat]))) || { mean: 0, std: 1 };
+    ['G', 'F', 'C'].forEach(g => {
+      groups[g][stat] = tracked
+        .filter(p => getPositionGroup(p.PositionArr) === g)
+        .map(p => Number(p[stat]))
+        .sort((a, b) => a - b);
+    });
+  });
+
+  compareData = {
+    pool,
+    stats,
+    groups,
+    norms,
+    context,
+    byLabel: new Map(pool.map(p => [compareLabel(p), p]))
+  };
+  return compareData;
+}
+
+function fillComparePlayerList() {
+  const list = document.getElementById('comparePlayerList');
+  if (!list) return;
+  list.innerHTML = '';
+  players
+    .slice()
+    .sort((a, b) => String(a.Name).localeCompare(String(b.Name)))
+    .forEach(p => {
+      const option = document.createElement('option');
+      option.value = compareLabel(p);
+      list.appendChild(option);
+    });
+}
+
+/** Accepts "Name (Debut)" from the list, or a bare name when it is unique. */
+function resolveComparePlayer(text) {
+  const { pool, byLabel } = loadCompareData();
+  const value = String(text || '').trim();
+  if (!value) return null;
+  if (byLabel.has(value)) return byLabel.get(value);
+  const matches = pool.filter(p => String(p.Name).toLowerCase() === value.toLowerCase());
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) throw new Error(`More than one ${matches[0].Name}: pick ${matches.map(compareLabel).join(' or ')} from the list.`);
+  throw new Error(`No player named "${value}".`);
+}
+
+function ordinal(n) {
+  const tens = n % 100;
+  if (tens >= 11 && tens <= 13) return `${n}th`;
+  return `${n}${['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
+}
+
+/** Share of the position group at or below the value, 0-100. */
+function positionPercentile(value, stat, posGroup) {
+  const sorted = compareData.groups[posGroup]?.[stat] || [];
+  if (!sorted.length) return null;
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= value) lo = mid + 1;
+    else hi = mid;
+  }
+  return Math.round((lo / sorted.length) * 100);
+}
+
+/**
+ * 100 minus a scaled root-mean-square distance between two careers in
+ * z-score space. Only stats both players have count, so a pre-1980
+ * player isn't penalised for having no 3-point line.
+ */
+function similarityScore(a, b) {
+  const { stats, norms } = compareData;
+  const diffs = stats
+    .filter(stat => hasStatValue(a, stat) && hasStatValue(b, stat))
+    .map(stat => (Number(a[stat]) - Number(b[stat])) / norms[stat].std);
+  if (!diffs.length) return null;
+  const rms = Math.sqrt(diffs.reduce((sum, d) => sum + d * d, 0) / diffs.length);
+  return Math.round(clamp(100 - rms * 33, 0, 100));
+}
+
+function comparePlayers() {
+  const output = document.getElementById('comparisonResult');
+  let chosen;
+  try {
+    chosen = COMPARE_SLOTS
+      .map(id => resolveComparePlayer(document.getElementById(id)?.value))
+      .filter(Boolean);
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  if (chosen.length < 2) {
+    alert('Choose at least two players to compare.');
+    return;
+  }
+
+  const { stats, context } = compareData;
+  const table = document.createElement('table');
+  table.className = 'pick-table compare-table';
+  const head = chosen.map(p => {
+    const years = p.Final ? `${p.Debut}-${p.Final}` : `${p.Debut}`;
+    const group = POSITION_GROUP_NAMES[getPositionGroup(p.PositionArr)];
+    return `<th>${p.Name}<div class="status">${(p.PositionArr || []).join('/') || 'N/A'} · ${years} · vs ${group}</div></th>`;
+  }).join('');
+  table.innerHTML = `<thead><tr><th>Stat</th>${head}</tr></thead>`;
+  const body = document.createElement('tbody');
+  stats.forEach(stat => {
+    const tr = document.createElement('tr');
+    const best = Math.max(...chosen.filter(p => hasStatValue(p, stat)).map(p => Number(p[stat])));
+    tr.innerHTML = `<td>${STAT_LABELS[stat] || stat}</td>` + chosen.map(p => {
+      const raw = p[stat];
+      if (!hasStatValue(p, stat)) return '<td>N/A</td>';
+      const group = getPositionGroup(p.PositionArr);
+      const pct = positionPercentile(Number(raw), stat, group);
+      const leader = Number(raw) === best ? ' compare-leader' : '';
+      return `<td class="${statClass(raw, stat, group, context)}${leader}">${formatStatValue(raw, stat)}` +
+        `${pct === null ? '' : ` <span class="compare-pct">${ordinal(pct)} pct</span>`}</td>`;
+    }).join('');
+    body.appendChild(tr);
+  });
+  table.appendChild(body);
+
+  const pairs = [];
+  for (let i = 0; i < chosen.length; i++) {
+    for (let j = i + 1; j < chosen.length; j++) {
+      pairs.push({ a: chosen[i], b: chosen[j], score: similarityScore(chosen[i], chosen[j]) });
+    }
+  }
+  const similarity = document.createElement('div');
+  similarity.className = 'compare-similarity';
+  similarity.innerHTML = '<strong>Similarity (0-100):</strong>' + pairs
+    .sort((x, y) => (y.score ?? -1) - (x.score ?? -1))
+    .map(pair => `<div>${pair.a.Name} vs ${pair.b.Name}: ${pair.score === null ? 'N/A' : pair.score}</div>`)
+    .join('');
+
+  output.innerHTML = '';
+  output.append(table, similarity);
+}
+
 /* =========================
    SELECT PLAYER
    ========================= */
+function attributeValue(p, key) {
+  if (key === 'athleticism') {
+    return computeAthleticism({
+      per: p.PER, fg: p['FG%'],
+      reb: p.TRB, g: p.G, height: p.Height
+    });
+  }
+  const raw = p[ATTR_MAP[key]] ?? p[key.toUpperCase()];
+  const val = Number(raw);
+  return Number.isFinite(val) ? val : 0;
+}
+
 function selectPlayer(i, key, p, isTeam) {
+  const violation = capViolation(i, key, p, isTeam);
+  if (violation) {
+    alert(violation);
+    return false;
+  }
+  if (draftState) recordSnakePick(i, key, p);
+
+  assignPick(i, key, p, isTeam);
+
+  renderGame();
+  return true;
+}
+
+function assignPick(i, key, p, isTeam) {
+  const seen = (participants[i].poolHistory || []).filter(entry => entry.key === key).pop();
+  if (seen) seen.picked = p.Name;
   if (isTeam) {
     participants[i].team[key] = p;
   } else {
-    let val;
-    if (key === 'athleticism') {
-      val = computeAthleticism({
-        per: p.PER, fg: p['FG%'],
-        reb: p.TRB, g: p.G, height: p.Height
-      });
-    } else {
-      const raw = p[ATTR_MAP[key]] ?? p[key.toUpperCase()];
-      const num = Number(raw);
-      val = Number.isFinite(num) ? num : 0;
-    }
-
     participants[i].attributes[key] = {
-      value: val,
+      value: attributeValue(statView(p), key),
       source: p.Name,
       player: p
     };
   }
+}
 
-  renderGame();
+/* =========================
+   LINEUP CHEMISTRY
+   ========================= */
+// Component weights sum to 1; each fit issue then costs a flat penalty.
+const CHEMISTRY_WEIGHTS = { spacing: 0.3, handling: 0.25, rim: 0.25, roles: 0.2 };
+const CHEMISTRY_ISSUE_PENALTY = 8;
+const CHEMISTRY_SHOT_TAKER_PTS = 22;
+
+// Players who debuted before the 3-point line have no FG3% and count
+// as half a shooter rather than none.
+function shooterValue(pl) {
+  const raw = pl['FG3%'];
+  if (raw === null || raw === undefined || raw === '') return 0.5;
+  return clamp((num(raw) - 28) / 10, 0, 1);
+}
+
+/**
+ * Scores how well the starting five fits together, 0-100. Spacing,
+ * ball-handling and rim protection add up; stacked or missing
+ * positions and too many high-usage scorers subtract.
+ */
+function buildLineupChemistry(playersArr) {
+  const starters = playersArr.slice(0, TEAM_SLOTS.length);
+  if (!starters.length) return null;
+
+  const shooters = starters.reduce((sum, pl) => sum + shooterValue(pl), 0);
+  const assists = starters.map(pl => num(pl.AST)).sort((a, b) => b - a);
+  const handling = clamp((assists[0] - 3) / 4, 0, 1) * 0.7 + clamp(((assists[1] || 0) - 2) / 3, 0, 1) * 0.3;
+  const blocks = Math.max(...starters.map(pl => num(pl.BLK)));
+  const height = Math.max(...starters.map(pl => num(pl.Height)));
+  const rim = blocks
+    ? clamp((blocks - 0.5) / 1.5, 0, 1)
+    : clamp((height - 79) / 5, 0, 1);
+
+  const groups = { G: 0, F: 0, C: 0 };
+  starters.forEach(pl => { groups[getPositionGroup(pl.PositionArr)] += 1; });
+  const issues = [];
+  if (!groups.G) issues.push('no guard');
+  if (!groups.C && !starters.some(pl => (pl.PositionArr || []).includes('Center'))) issues.push('no big man');
+  if (groups.C > 2) issues.push(`${groups.C} centers`);
+  if (groups.G > 3) issues.push(`${groups.G} guards`);
+  if (starters.length >= TEAM_SLOTS.length && shooters < 1.5) issues.push('no floor spacing');
+  const shotTakers = starters.filter(pl => num(pl.PTS) >= CHEMISTRY_SHOT_TAKER_PTS).length;
+  if (shotTakers > 3) issues.push(`${shotTakers} high-usage scorers`);
+  const redundancy = Math.max(0, groups.C - 3) + Math.max(0, groups.G - 4);
+
+  const spacing = clamp(shooters / 3, 0, 1);
+  const base = CHEMISTRY_WEIGHTS.spacing * spacing +
+    CHEMISTRY_WEIGHTS.handling * handling +
+    CHEMISTRY_WEIGHTS.rim * rim +
+    CHEMISTRY_WEIGHTS.roles;
+  const score = Math.round(clamp(base * 100 - (issues.length + redundancy) * CHEMISTRY_ISSUE_PENALTY, 0, 100));
+
+  return {
+    score,
+    shooters,
+    spacing,
+    handling,
+    rim,
+    rimLabel: blocks ? `${fmt(blocks, 1)} BLK` : `${height}" tallest`,
+    lead: assists[0],
+    issues
+  };
 }
 
 /* =========================
@@ -807,7 +2719,10 @@ function selectPlayer(i, key, p, isTeam) {
    ========================= */
 function runDeterministicSim() {
   const detail = document.getElementById('simDetail')?.value || 'full';
-  const useDetail = gameMode === 'attribute' ? 'full' : detail;
+  const seriesLength = parseInt(document.getElementById('seriesLength')?.value, 10) || 1;
+  const format = document.getElementById('tournamentFormat')?.value || 'single';
+  const monteCarlo = Boolean(document.getElementById('monteCarlo')?.checked);
+  const leagueGames = parseInt(document.getElementById('leagueGames')?.value, 10) || 4;
   if (gameMode === 'team') {
     const missing = participants.some(p => !String(p.teamName || '').trim());
     if (missing) {
@@ -815,8 +2730,57 @@ function runDeterministicSim() {
       return;
     }
   }
-  const result = simulateMatchup(useDetail);
-  document.getElementById('simulationResult').textContent = result;
+  const result = simulateMatchup(detail, { seriesLength, format, monteCarlo, leagueGames });
+  const header = [
+    sessionSeed === null ? null : `Session Seed: ${sessionSeed}`,
+    eraAdjust ? 'Stats: era-adjusted to each player\'s debut decade' : null
+  ].filter(Boolean);
+  const text = header.length ? `${header.join('\n')}\n\n${result}` : result;
+  document.getElementById('simulationResult').textContent = text;
+  saveActiveSession();
+  return text;
+}
+
+/**
+ * Each rating blends several attribute picks. A stat is scaled to 0-1
+ * between `lo` and `hi` (reversed when lo > hi), so every one of the six
+ * picks feeds at least one rating.
+ */
+const ATTRIBUTE_RATINGS = {
+  offense: [
+    { attr: 'shooting', stat: 'PTS', lo: 5, hi: 30, weight: 0.35 },
+    { attr: 'shooting', stat: 'FG%', lo: 40, hi: 55, weight: 0.15 },
+    { attr: 'passing', stat: 'AST', lo: 1, hi: 10, weight: 0.25 },
+    { attr: 'athleticism', lo: -0.2, hi: 0.8, weight: 0.15 },
+    { attr: 'height', stat: 'Height', lo: 72, hi: 86, weight: 0.1 }
+  ],
+  defense: [
+    { attr: 'rebounding', stat: 'TRB', lo: 2, hi: 14, weight: 0.35 },
+    { attr: 'height', stat: 'Height', lo: 72, hi: 86, weight: 0.3 },
+    { attr: 'athleticism', lo: -0.2, hi: 0.8, weight: 0.35 }
+  ],
+  durability: [
+    { attr: 'longevity', stat: 'G', lo: 200, hi: 1300, weight: 0.6 },
+    { attr: 'athleticism', lo: -0.2, hi: 0.8, weight: 0.25 },
+    // Bigger frames wear down faster.
+    { attr: 'height', stat: 'Height', lo: 88, hi: 72, weight: 0.15 }
+  ]
+};
+
+/** Offensive, defensive and durability ratings (1-99) for attribute mode. */
+function buildAttributeRatings(p) {
+  const ratings = {};
+  Object.entries(ATTRIBUTE_RATINGS).forEach(([rating, parts]) => {
+    const total = parts.reduce((sum, part) => {
+      const pl = p.attributes[part.attr]?.player;
+      if (!pl) return sum;
+      const raw = part.stat ? Number(pl[part.stat]) : attributeValue(pl, part.attr);
+      if (!Number.isFinite(raw) || (part.stat && !raw)) return sum;
+      return sum + clamp((raw - part.lo) / (part.hi - part.lo), 0, 1) * part.weight;
+    }, 0);
+    ratings[rating] = Math.round(clamp(total * 100, 1, 99));
+  });
+  return ratings;
 }
 
 function buildPlayerFromAttributes(p) {
@@ -825,33 +2789,48 @@ function buildPlayerFromAttributes(p) {
   const rebounding = p.attributes.rebounding?.player;
   const longevity = p.attributes.longevity?.player;
   const posAdj = positionAdjustments(p.position);
+  // PER is averaged over every distinct pick, not taken from the first one.
+  const pers = Array.from(new Set(ATTRIBUTES.map(attr => p.attributes[attr]?.player).filter(Boolean)))
+    .map(pl => Number(pl.PER))
+    .filter(Number.isFinite);
 
   return {
     name: p.teamName || p.name,
     pts: (Number(shooting?.PTS) || 0) + posAdj.pts,
     ast: (Number(passing?.AST) || 0) + posAdj.ast,
     reb: (Number(rebounding?.TRB) || 0) + posAdj.reb,
-    per: Number(shooting?.PER) || Number(passing?.PER) || Number(rebounding?.PER) || 0,
+    per: pers.length ? pers.reduce((a, b) => a + b, 0) / pers.length : 0,
     fg: Number(shooting?.['FG%']) || 0,
-    g: Number(longevity?.G) || 0
+    g: Number(longevity?.G) || 0,
+    ratings: buildAttributeRatings(p)
   };
 }
 
+/**
+ * Team totals are weighted by each player's share of a full game, so a
+ * deep roster still rates as five players on the floor and bench minutes
+ * count for less than starter minutes.
+ */
 function buildTeamFromDraft(p) {
-  const playersArr = Object.values(p.team).filter(Boolean);
-  const totals = playersArr.reduce((acc, pl) => {
-    acc.pts += Number(pl.PTS) || 0;
-    acc.ast += Number(pl.AST) || 0;
-    acc.reb += Number(pl.TRB) || 0;
-    acc.per += Number(pl.PER) || 0;
-    acc.fg += Number(pl['FG%']) || 0;
-    acc.stl += Number(pl.STL) || 0;
-    acc.blk += Number(pl.BLK) || 0;
+  const slots = teamSlots().filter(slot => p.team[slot]);
+  const playersArr = slots.map(slot => p.team[slot]);
+  const minutes = rotationMinutes(slots);
+  const weights = minutes.map(m => m / 48);
+  const totals = playersArr.reduce((acc, pl, idx) => {
+    const w = weights[idx];
+    acc.pts += (Number(pl.PTS) || 0) * w;
+    acc.ast += (Number(pl.AST) || 0) * w;
+    acc.reb += (Number(pl.TRB) || 0) * w;
+    acc.per += (Number(pl.PER) || 0) * w;
+    acc.fg += (Number(pl['FG%']) || 0) * w;
+    acc.stl += (Number(pl.STL) || 0) * w;
+    acc.blk += (Number(pl.BLK) || 0) * w;
     return acc;
   }, { pts: 0, ast: 0, reb: 0, per: 0, fg: 0, stl: 0, blk: 0 });
 
-  const count = playersArr.length || 1;
-  const impact = playersArr.reduce((sum, pl) => sum + playerImpact(pl), 0);
+  const count = weights.reduce((sum, w) => sum + w, 0) || 1;
+  const impact = playersArr.reduce((sum, pl, idx) => sum + playerImpact(pl) * weights[idx], 0);
+  const chemistry = buildLineupChemistry(playersArr);
   return {
     name: p.teamName || p.name,
     pts: totals.pts,
@@ -862,7 +2841,10 @@ function buildTeamFromDraft(p) {
     stl: totals.stl,
     blk: totals.blk,
     impact,
-    players: playersArr
+    chemistry,
+    players: playersArr,
+    slots,
+    minutes
   };
 }
 
@@ -888,59 +2870,501 @@ function seedFromNames(a, b) {
     hash ^= str.charCodeAt(i);
     hash = Math.imul(hash, 16777619);
   }
-  return hash >>> 0;
+  return hash >>> 0;
+}
+
+function rngFromSeed(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s ^= s << 13;
+    s ^= s >>> 17;
+    s ^= s << 5;
+    return (s >>> 0) / 4294967296;
+  };
+}
+
+function pick(rng, options) {
+  return options[Math.floor(rng() * options.length)];
+}
+
+function shuffleInPlace(rng, arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+function scoreFromStats(s, isTeam) {
+  const pace = isTeam ? 110 : 100;
+  const base = s.pts * 1.0 + s.ast * 0.4 + s.reb * 0.25 + s.per * 0.3 + s.fg * 0.2;
+  const impactBoost = isTeam ? (s.impact || 0) * 0.35 : 0;
+  const raw = base + impactBoost;
+  // Full teams usually hit the 140 cap on raw stats alone, so lineup fit
+  // sits outside it: a 50-point chemistry gap is worth 7.5 rating points.
+  const fit = isTeam && s.chemistry ? (s.chemistry.score - 50) * 0.15 : 0;
+  // Defense and durability act inside the engine; offense lifts the rating.
+  const offense = !isTeam && s.ratings ? (s.ratings.offense - 50) * 0.15 : 0;
+  return Math.max(60, Math.min(140, (raw / (isTeam ? 2.5 : 1.6)) + pace)) + fit + offense;
+}
+
+function positionAdjustments(pos) {
+  const p = String(pos || '').toLowerCase();
+  if (p.includes('point')) return { pts: 0, ast: 0.7, reb: -0.5 };
+  if (p.includes('shooting')) return { pts: 1.5, ast: 0, reb: -0.5 };
+  if (p.includes('center')) return { pts: -1.5, ast: -1.0, reb: 3.0 };
+  return { pts: 0, ast: 0, reb: 0 };
+}
+
+/* =========================
+   POSSESSION ENGINE
+   ========================= */
+const PERIOD_SECONDS = 720;
+const OT_SECONDS = 300;
+const FT_PCT = 0.76;
+// Lineups are reconsidered every 12 possessions, about three game minutes.
+const SUB_WINDOW_POSSESSIONS = 12;
+const MAX_SUBS_PER_WINDOW = 2;
+
+function clamp(x, lo, hi) {
+  return Math.max(lo, Math.min(hi, x));
+}
+
+function formatClock(seconds) {
+  const s = Math.max(0, Math.round(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function periodLabel(period) {
+  return period <= 4 ? `Q${period}` : `OT${period - 4 > 1 ? period - 4 : ''}`;
+}
+
+function weightedPick(rng, items, weightFn) {
+  const weights = items.map(it => Math.max(0.25, weightFn(it)));
+  const total = weights.reduce((a, b) => a + b, 0);
+  let roll = rng() * total;
+  for (let i = 0; i < items.length; i++) {
+    roll -= weights[i];
+    if (roll <= 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+/**
+ * Per-possession rates for one side, derived from its drafted stats
+ * and the opponent it is facing. The home side shoots slightly better.
+ */
+function buildEngineSide(s, opp, isTeam, isHome = false) {
+  const perPlayer = (side, key, fallback) => {
+    const count = isTeam ? Math.max(1, Math.min(TEAM_SLOTS.length, (side.players || []).length)) : 1;
+    const total = num(side[key]);
+    return total ? total / count : fallback;
+  };
+  const ptsPer = perPlayer(s, 'pts', 10);
+  const astPer = perPlayer(s, 'ast', 2.5);
+  const rebPer = perPlayer(s, 'reb', 4.5);
+  const oppRebPer = perPlayer(opp, 'reb', 4.5);
+  const oppStlPer = perPlayer(opp, 'stl', 0.8);
+  const oppBlkPer = perPlayer(opp, 'blk', 0.5);
+
+  const fgRaw = num(s.fg);
+  const fgPct = fgRaw ? (fgRaw > 1 ? fgRaw / 100 : fgRaw) : 0.44;
+  const edge = clamp((scoreFromStats(s, isTeam) - scoreFromStats(opp, isTeam)) / 400, -0.08, 0.08);
+  const homeBoost = isHome ? 0.015 : 0;
+  // Attribute-mode ratings: a strong defender contests every shot.
+  const oppDefense = opp.ratings ? (opp.ratings.defense - 50) / 1000 : 0;
+
+  const actors = isTeam && (s.players || []).length
+    ? s.players.map((pl, idx) => ({
+      name: pl.Name,
+      pts: num(pl.PTS),
+      ast: num(pl.AST),
+      reb: num(pl.TRB),
+      stl: num(pl.STL),
+      blk: num(pl.BLK),
+      minutes: (s.minutes || [])[idx] || 48
+    }))
+    : [{ name: s.name, pts: num(s.pts), ast: num(s.ast), reb: num(s.reb), stl: num(s.stl), blk: num(s.blk), minutes: 48 }];
+  actors.forEach(actor => {
+    actor.seconds = 0;
+    actor.line = {
+      pts: 0, reb: 0, ast: 0, stl: 0, blk: 0,
+      fgm: 0, fga: 0, tpm: 0, tpa: 0, ftm: 0, fta: 0, pm: 0
+    };
+  });
+
+  return {
+    name: s.name,
+    actors,
+    onCourt: actors.slice(0, TEAM_SLOTS.length),
+    tovRate: clamp(0.135 - (astPer - 2.5) * 0.008 + (oppStlPer - 0.8) * 0.03, 0.07, 0.2),
+    stealShare: clamp(oppStlPer * 0.35, 0.2, 0.7),
+    ftRate: 0.08 + clamp((ptsPer - 10) * 0.003, 0, 0.05),
+    threeRate: 0.34,
+    twoPct: clamp(fgPct + 0.04 + edge + homeBoost - (oppBlkPer - 0.5) * 0.02 - oppDefense, 0.3, 0.68),
+    threePct: clamp(fgPct * 0.78 + edge * 0.5 + homeBoost - oppDefense, 0.22, 0.46),
+    // Shooting lost from the fourth quarter on by a low-durability player.
+    lateFade: s.ratings ? clamp((60 - s.ratings.durability) / 1000, 0, 0.04) : 0,
+    blockShare: clamp(oppBlkPer * 0.08, 0.02, 0.2),
+    orebRate: clamp(0.52 * (rebPer / ((rebPer + oppRebPer) || 1)), 0.12, 0.4),
+    assistRate: clamp(0.45 + (astPer - 2.5) * 0.04, 0.3, 0.75)
+  };
+}
+
+/**
+ * Swaps in the players furthest behind their minutes target at the end
+ * of the coming stint, at most two at a time so lineups stay mixed.
+ * In overtime the biggest-minute players close.
+ */
+function chooseLineup(side, elapsed, stint) {
+  if (side.actors.length <= TEAM_SLOTS.length) return side.actors;
+  const regulation = PERIOD_SECONDS * 4;
+  const need = actor => (elapsed >= regulation
+    ? actor.minutes
+    : actor.minutes * 60 * Math.min(1, (elapsed + stint) / regulation) - actor.seconds);
+  const bench = side.actors.filter(actor => !side.onCourt.includes(actor))
+    .sort((x, y) => need(y) - need(x));
+  const court = side.onCourt.slice().sort((x, y) => need(x) - need(y));
+  const lineup = side.onCourt.slice();
+  for (let k = 0; k < MAX_SUBS_PER_WINDOW && k < bench.length; k++) {
+    if (need(bench[k]) <= need(court[k])) break;
+    lineup[lineup.indexOf(court[k])] = bench[k];
+  }
+  return lineup;
+}
+
+/**
+ * Plays one possession. Offensive rebounds keep the ball, so a possession
+ * can contain several shots. Returns the points scored and a play description.
+ */
+function playPossession(rng, off, def) {
+  const shooterPick = () => weightedPick(rng, off.onCourt, a => a.pts + 2);
+  const parts = [];
+  let points = 0;
+  let type = 'miss';
+
+  for (let attempt = 0; attempt < 4; attempt++) {
+    if (rng() < off.tovRate) {
+      if (rng() < off.stealShare) {
+        const thief = weightedPick(rng, def.onCourt, a => a.stl);
+        thief.line.stl += 1;
+        parts.push(pick(rng, [
+          `${thief.name} comes up with a steal`,
+          `${thief.name} jumps a passing lane for a pick`,
+          `${thief.name} strips the ball loose`
+        ]));
+        type = 'steal';
+      } else {
+        const handler = weightedPick(rng, off.onCourt, a => a.ast);
+        parts.push(pick(rng, [
+          `${handler.name} throws it away`,
+          `${handler.name} is called for a travel`,
+          `${def.name} draws a charge on ${handler.name}`
+        ]));
+        type = 'turnover';
+      }
+      return { points, type, text: parts.join('; ') };
+    }
+
+    const shooter = shooterPick();
+    if (rng() < off.ftRate) {
+      let made = 0;
+      for (let i = 0; i < 2; i++) if (rng() < FT_PCT) made += 1;
+      points += made;
+      shooter.line.pts += made;
+      shooter.line.ftm += made;
+      shooter.line.fta += 2;
+      parts.push(`${shooter.name} is fouled and hits ${made} of 2 at the line`);
+      type = made ? 'ft' : 'miss';
+      return { points, type, text: parts.join('; ') };
+    }
+
+    const isThree = rng() < off.threeRate;
+    const makePct = isThree ? off.threePct : off.twoPct;
+    shooter.line.fga += 1;
+    if (isThree) shooter.line.tpa += 1;
+    if (rng() < makePct) {
+      const value = isThree ? 3 : 2;
+      points += value;
+      shooter.line.pts += value;
+      shooter.line.fgm += 1;
+      if (isThree) shooter.line.tpm += 1;
+      const shot = isThree
+        ? pick(rng, [
+          `${shooter.name} hits a pull-up three`,
+          `${shooter.name} knocks down a corner three`,
+          `${shooter.name} buries a catch-and-shoot three`
+        ])
+        : pick(rng, [
+          `${shooter.name} drains a midrange jumper`,
+          `${shooter.name} attacks the rim for two`,
+          `${shooter.name} finishes through contact`,
+          `${shooter.name} euro-steps for the bucket`,
+          `${shooter.name} throws down a fast-break dunk`
+        ]);
+      const passers = off.onCourt.filter(a => a !== shooter);
+      const assister = passers.length && rng() < off.assistRate
+        ? weightedPick(rng, passers, a => a.ast)
+        : null;
+      if (assister) assister.line.ast += 1;
+      parts.push(`${shot}${assister ? ` (${assister.name} assist)` : ''}`);
+      type = isThree ? 'made3' : 'made2';
+      return { points, type, text: parts.join('; ') };
+    }
+
+    if (!isThree && rng() < off.blockShare) {
+      const blocker = weightedPick(rng, def.onCourt, a => a.blk);
+      blocker.line.blk += 1;
+      parts.push(`${blocker.name} swats ${shooter.name} at the rim`);
+      type = 'block';
+    } else {
+      parts.push(`${shooter.name} misses ${isThree ? 'a three' : 'a jumper'}`);
+      type = 'miss';
+    }
+
+    if (rng() < off.orebRate) {
+      const boarder = weightedPick(rng, off.onCourt, a => a.reb + 1.5);
+      boarder.line.reb += 1;
+      parts.push(`${boarder.name} grabs the offensive board`);
+      continue;
+    }
+    const boarder = weightedPick(rng, def.onCourt, a => a.reb + 1.5);
+    boarder.line.reb += 1;
+    parts.push(`${boarder.name} clears the glass`);
+    break;
+  }
+
+  return { points, type, text: parts.join('; ') };
+}
+
+/**
+ * Plays four quarters (plus overtime if needed) possession by possession.
+ * Every scoring event is logged, so the event log always sums to the final.
+ * `home` is 'A', 'B' or null for a neutral floor.
+ */
+function runGameEngine(rng, a, b, isTeam, home = null) {
+  const sides = {
+    A: buildEngineSide(a, b, isTeam, home === 'A'),
+    B: buildEngineSide(b, a, isTeam, home === 'B')
+  };
+  const possPerPeriod = isTeam ? 25 : 24;
+  const score = { A: 0, B: 0 };
+  const periods = [];
+  const events = [];
+  const jumpBall = rng() < 0.5 ? 'A' : 'B';
+  const other = side => (side === 'A' ? 'B' : 'A');
+
+  let leader = null;
+  let run = { side: null, pts: 0 };
+
+  const logEvent = (ev) => {
+    events.push({ ...ev, scoreA: score.A, scoreB: score.B });
+  };
+
+  const closeRun = (period, clock) => {
+    if (run.pts >= 8) {
+      logEvent({
+        period, clock, side: run.side, type: 'run', size: run.pts,
+        text: `${sides[run.side].name} closes a ${run.pts}-0 run.`
+      });
+    }
+  };
+
+  logEvent({ period: 1, clock: PERIOD_SECONDS, side: jumpBall, type: 'tipoff', text: `${sides[jumpBall].name} wins the opening tip.` });
+
+  const rotate = (period, clock, elapsed, stint) => {
+    ['A', 'B'].forEach(key => {
+      const side = sides[key];
+      const next = chooseLineup(side, elapsed, stint);
+      const comingIn = next.filter(actor => !side.onCourt.includes(actor));
+      const goingOut = side.onCourt.filter(actor => !next.includes(actor));
+      comingIn.forEach((actor, idx) => {
+        logEvent({ period, clock, side: key, type: 'sub', text: `${actor.name} checks in for ${goingOut[idx].name}.` });
+      });
+      side.onCourt = next;
+    });
+  };
+
+  let period = 0;
+  let elapsed = 0;
+  while (period < 4 || score.A === score.B) {
+    period += 1;
+    const isOT = period > 4;
+    if (period === 4) {
+      Object.values(sides).forEach(side => {
+        side.twoPct -= side.lateFade;
+        side.threePct -= side.lateFade;
+      });
+    }
+    const seconds = isOT ? OT_SECONDS : PERIOD_SECONDS;
+    const perSide = isOT ? Math.round(possPerPeriod * OT_SECONDS / PERIOD_SECONDS) : possPerPeriod;
+    let first;
+    if (isOT) first = rng() < 0.5 ? 'A' : 'B';
+    else first = period === 1 || period === 4 ? jumpBall : other(jumpBall);
+
+    const before = { A: score.A, B: score.B };
+    const total = perSide * 2;
+    const duration = seconds / total;
+    for (let i = 0; i < total; i++) {
+      if (i % SUB_WINDOW_POSSESSIONS === 0) {
+        rotate(period, seconds - i * duration, elapsed, SUB_WINDOW_POSSESSIONS * duration);
+      }
+      const offKey = i % 2 === 0 ? first : other(first);
+      const clock = seconds - ((i + 1) * seconds) / total;
+      const result = playPossession(rng, sides[offKey], sides[other(offKey)]);
+      elapsed += duration;
+      sides.A.onCourt.concat(sides.B.onCourt).forEach(actor => { actor.seconds += duration; });
+      if (result.points) {
+        sides[offKey].onCourt.forEach(actor => { actor.line.pm += result.points; });
+        sides[other(offKey)].onCourt.forEach(actor => { actor.line.pm -= result.points; });
+      }
+
+      if (result.points > 0) {
+        if (run.side !== offKey) {
+          closeRun(period, clock);
+          run = { side: offKey, pts: 0 };
+        }
+        run.pts += result.points;
+      }
+      score[offKey] += result.points;
+      logEvent({ period, clock, side: offKey, type: result.type, points: result.points, text: `${result.text}.` });
+
+      const nowLeader = score.A > score.B ? 'A' : score.B > score.A ? 'B' : null;
+      if (nowLeader && leader && nowLeader !== leader) {
+        logEvent({
+          period, clock, side: nowLeader, type: 'lead-change',
+          text: `${sides[nowLeader].name} takes the lead.`
+        });
+      }
+      if (nowLeader) leader = nowLeader;
+    }
+
+    periods.push({ a: score.A - before.A, b: score.B - before.B });
+    if (period >= 4 && score.A !== score.B) closeRun(period, 0);
+    const endText = period === 2
+      ? `Halftime: ${sides.A.name} ${score.A} - ${sides.B.name} ${score.B}`
+      : `End of ${periodLabel(period)}: ${sides.A.name} ${score.A} - ${sides.B.name} ${score.B}`;
+    logEvent({ period, clock: 0, side: null, type: period === 2 ? 'halftime' : 'period-end', text: endText });
+  }
+
+  const boxLine = actor => ({ name: actor.name, min: Math.round(actor.seconds / 60), ...actor.line });
+  const box = {
+    A: sides.A.actors.map(boxLine),
+    B: sides.B.actors.map(boxLine)
+  };
+  return { scoreA: score.A, scoreB: score.B, periods, events, box };
+}
+
+/**
+ * Detail levels are filters over the same event log:
+ * light = key moments, medium = quarter-by-quarter, full = every possession.
+ */
+function filterEventsByDetail(events, detail) {
+  if (detail === 'full') return events;
+  if (detail === 'medium') {
+    return events.filter(ev => ['tipoff', 'run', 'lead-change', 'halftime', 'period-end'].includes(ev.type));
+  }
+  const runs = events.filter(ev => ev.type === 'run')
+    .sort((x, y) => y.size - x.size)
+    .slice(0, 2);
+  const leadChanges = events.filter(ev => ev.type === 'lead-change');
+  const lastLeadChange = leadChanges[leadChanges.length - 1];
+  return events.filter(ev =>
+    ev.type === 'tipoff' ||
+    ev.type === 'halftime' ||
+    runs.includes(ev) ||
+    ev === lastLeadChange
+  );
 }
 
-function rngFromSeed(seed) {
-  let s = seed >>> 0;
-  return () => {
-    s ^= s << 13;
-    s ^= s >>> 17;
-    s ^= s << 5;
-    return (s >>> 0) / 4294967296;
-  };
+function formatEventLine(ev, a, b) {
+  if (ev.type === 'halftime' || ev.type === 'period-end') return ev.text;
+  const stamp = `[${periodLabel(ev.period)} ${formatClock(ev.clock)}]`;
+  const team = ev.side === 'A' ? a.name : b.name;
+  if (ev.type === 'tipoff') return `${stamp} ${ev.text}`;
+  const prefix = ev.type === 'run' || ev.type === 'lead-change' ? '' : `${team}: `;
+  return `${stamp} ${prefix}${ev.text} (${ev.scoreA}-${ev.scoreB})`;
 }
 
-function pick(rng, options) {
-  return options[Math.floor(rng() * options.length)];
+function buildLineScore(a, b, periods, scoreA, scoreB) {
+  const labels = periods.map((_, i) => periodLabel(i + 1));
+  const width = Math.max(a.name.length, b.name.length, 4);
+  const cell = v => String(v).padStart(4);
+  return [
+    `${''.padEnd(width)}${labels.map(cell).join('')}${cell('F')}`,
+    `${a.name.padEnd(width)}${periods.map(p => cell(p.a)).join('')}${cell(scoreA)}`,
+    `${b.name.padEnd(width)}${periods.map(p => cell(p.b)).join('')}${cell(scoreB)}`
+  ];
 }
 
-function shuffleInPlace(rng, arr) {
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(rng() * (i + 1));
-    [arr[i], arr[j]] = [arr[j], arr[i]];
-  }
-  return arr;
+/* =========================
+   BOX SCORE
+   ========================= */
+function gameScore(line) {
+  return line.pts + line.reb * 1.2 + line.ast * 1.5 + line.stl * 2 + line.blk * 2;
 }
 
-function scoreFromStats(s, isTeam) {
-  const pace = isTeam ? 110 : 100;
-  const base = s.pts * 1.0 + s.ast * 0.4 + s.reb * 0.25 + s.per * 0.3 + s.fg * 0.2;
-  const impactBoost = isTeam ? (s.impact || 0) * 0.35 : 0;
-  const raw = base + impactBoost;
-  return Math.max(60, Math.min(140, (raw / (isTeam ? 2.5 : 1.6)) + pace));
+function playerOfTheGame(a, b, box) {
+  const all = box.A.map(line => ({ team: a.name, line }))
+    .concat(box.B.map(line => ({ team: b.name, line })));
+  return all.sort((x, y) => gameScore(y.line) - gameScore(x.line))[0] || null;
 }
 
-function positionAdjustments(pos) {
-  const p = String(pos || '').toLowerCase();
-  if (p.includes('point')) return { pts: 0, ast: 0.7, reb: -0.5 };
-  if (p.includes('shooting')) return { pts: 1.5, ast: 0, reb: -0.5 };
-  if (p.includes('center')) return { pts: -1.5, ast: -1.0, reb: 3.0 };
-  return { pts: 0, ast: 0, reb: 0 };
+function buildBoxScoreLines(team, lines) {
+  const width = Math.max(6, ...lines.map(l => l.name.length));
+  const cols = [
+    ['MIN', l => l.min],
+    ['PTS', l => l.pts],
+    ['REB', l => l.reb],
+    ['AST', l => l.ast],
+    ['STL', l => l.stl],
+    ['BLK', l => l.blk],
+    ['FG', l => `${l.fgm}-${l.fga}`],
+    ['3PT', l => `${l.tpm}-${l.tpa}`],
+    ['FT', l => `${l.ftm}-${l.fta}`],
+    ['+/-', l => (l.pm > 0 ? `+${l.pm}` : String(l.pm))]
+  ];
+  const row = (name, values) => `${name.padEnd(width)}${values.map(v => String(v).padStart(7)).join('')}`;
+  const totals = lines.reduce((acc, l) => {
+    Object.keys(acc).forEach(k => { acc[k] += l[k]; });
+    return acc;
+  }, { min: 0, pts: 0, reb: 0, ast: 0, stl: 0, blk: 0, fgm: 0, fga: 0, tpm: 0, tpa: 0, ftm: 0, fta: 0 });
+
+  return [
+    `${team.name} Box Score`,
+    row('Player', cols.map(c => c[0])),
+    ...lines.map(l => row(l.name, cols.map(c => c[1](l)))),
+    row('TOTALS', cols.slice(0, -1).map(c => c[1](totals)))
+  ];
 }
 
-function simulateGameStory(a, b, detail, isTeam) {
-  const seed = seedFromNames(a.name, b.name);
-  const rng = rngFromSeed(seed);
-  const baseA = scoreFromStats(a, isTeam);
-  const baseB = scoreFromStats(b, isTeam);
-  const variance = () => (rng() - 0.5) * 8;
-  let scoreA = Math.round(baseA + variance());
-  let scoreB = Math.round(baseB + variance());
-  if (scoreA === scoreB) {
-    if (baseA >= baseB) scoreA += 1;
-    else scoreB += 1;
+/**
+ * Box scores for both sides plus the player of the game. Every line comes
+ * from the possession engine, so team PTS totals match the final score.
+ */
+function buildGameBoxLines(a, b, box) {
+  const lines = [
+    ...buildBoxScoreLines(a, box.A),
+    '',
+    ...buildBoxScoreLines(b, box.B)
+  ];
+  const potg = playerOfTheGame(a, b, box);
+  if (potg) {
+    const l = potg.line;
+    lines.push('', `Player of the Game: ${l.name} (${potg.team}) - ${l.pts} PTS, ${l.reb} REB, ${l.ast} AST, ${l.fgm}-${l.fga} FG`);
   }
+  return lines;
+}
+
+/**
+ * options.seed overrides the matchup seed (used for series games) and
+ * options.home gives one side home court.
+ */
+function simulateGameStory(a, b, detail, isTeam, options = {}) {
+  const seed = options.seed ?? seedFromNames(a.name, b.name);
+  const rng = rngFromSeed(seed);
+  const game = runGameEngine(rng, a, b, isTeam, options.home || null);
+  const { scoreA, scoreB } = game;
 
   const lines = [];
   const leader = scoreA >= scoreB ? a : b;
@@ -950,136 +3374,18 @@ function simulateGameStory(a, b, detail, isTeam) {
   const leaderKeys = shuffleInPlace(rng, [...factors.leader]).slice(0, 3);
   const trailerKeys = shuffleInPlace(rng, [...factors.trailer]).slice(0, 3);
 
-  const playerMoments = isTeam ? buildPlayerMoments(rng, a, b) : [];
-
-  const startLines = [
-    `${leader.name} jumps out early with crisp execution.`,
-    `${leader.name} starts strong and sets the tone.`,
-    `${leader.name} seizes the opening momentum.`,
-    `${leader.name} strikes first with efficient offense.`,
-    `${leader.name} controls the early tempo.`,
-    `${leader.name} opens with a confident run.`,
-    `${leader.name} wins the first stretch with sharp ball movement.`,
-    `${leader.name} comes out aggressive and takes the lead.`
-  ];
-  const answerLines = [
-    `${trailer.name} responds with a quick run.`,
-    `${trailer.name} answers to keep it tight.`,
-    `${trailer.name} steadies and closes the gap.`,
-    `${trailer.name} counters with a burst of energy.`,
-    `${trailer.name} rallies to trim the margin.`,
-    `${trailer.name} stays within striking distance.`,
-    `${trailer.name} finds rhythm and pulls closer.`,
-    `${trailer.name} answers with timely stops and buckets.`
-  ];
-  const halftimeLines = [
-    `Halftime: ${leader.name} leads by a small margin.`,
-    `Halftime: ${leader.name} holds a slim advantage.`,
-    `Halftime: ${leader.name} is narrowly ahead.`,
-    `Halftime: ${leader.name} takes a modest lead into the break.`,
-    `Halftime: ${leader.name} edges in front.`,
-    `Halftime: ${leader.name} carries momentum into the locker room.`,
-    `Halftime: ${leader.name} has the upper hand.`,
-    `Halftime: ${leader.name} has a slight cushion.`
-  ];
-  const thirdLines = [
-    `${trailer.name} pushes the pace in the third quarter.`,
-    `${trailer.name} makes a third-quarter surge.`,
-    `${trailer.name} tries to swing momentum after the break.`,
-    `${trailer.name} turns up the pressure in Q3.`,
-    `${trailer.name} strings together stops and runs.`,
-    `${trailer.name} makes it a game after halftime.`,
-    `${trailer.name} punches back in the third.`,
-    `${trailer.name} chips away with a strong third quarter.`
-  ];
-  const closeLines = [
-    `${leader.name} steadies late with smart possessions.`,
-    `${leader.name} closes with disciplined execution.`,
-    `${leader.name} finishes strong down the stretch.`,
-    `${leader.name} executes in crunch time.`,
-    `${leader.name} controls the final minutes.`,
-    `${leader.name} gets key stops late.`,
-    `${leader.name} puts the game away in the fourth.`,
-    `${leader.name} seals it with late composure.`
-  ];
-
-  if (detail === 'light') {
-    lines.push(`Tipoff: ${a.name} vs ${b.name}`);
-    lines.push(pick(rng, startLines));
-    if (playerMoments.length) lines.push(playerMoments[0]);
-    lines.push(`Halftime: ${leader.name} leads.`);
-    lines.push(pick(rng, thirdLines));
-    if (playerMoments.length > 1) lines.push(playerMoments[1]);
-    lines.push(`Keys for ${leader.name}: ${leaderKeys.join(', ')}`);
-    lines.push(`Final: ${a.name} ${scoreA} - ${b.name} ${scoreB}`);
-  } else if (detail === 'medium') {
-    lines.push(`Tipoff: ${a.name} vs ${b.name}`);
-    lines.push(pick(rng, startLines));
-    if (playerMoments.length) lines.push(playerMoments[0]);
-    lines.push(pick(rng, answerLines));
-    lines.push(pick(rng, halftimeLines));
-    lines.push(pick(rng, thirdLines));
-    if (playerMoments.length > 1) lines.push(playerMoments[1]);
-    lines.push(pick(rng, closeLines));
-    lines.push(`Keys for ${leader.name}: ${leaderKeys.join(', ')}`);
-    lines.push(`Struggles for ${trailer.name}: ${trailerKeys.join(', ')}`);
-    lines.push(`Final: ${a.name} ${scoreA} - ${b.name} ${scoreB}`);
-  } else {
-    lines.push(`Tipoff: ${a.name} vs ${b.name}`);
-    lines.push(pick(rng, startLines));
-    if (playerMoments.length) lines.push(playerMoments[0]);
-    lines.push(pick(rng, answerLines));
-    lines.push(pick(rng, halftimeLines));
-    lines.push(pick(rng, thirdLines));
-    if (playerMoments.length > 1) lines.push(playerMoments[1]);
-    lines.push(pick(rng, closeLines));
-    lines.push(`Final possessions: ${leader.name} seals the game.`);
-    lines.push(`Keys for ${leader.name}: ${leaderKeys.join(', ')}`);
-    lines.push(`Struggles for ${trailer.name}: ${trailerKeys.join(', ')}`);
-    lines.push(`Final: ${a.name} ${scoreA} - ${b.name} ${scoreB}`);
-  }
-
-  return { scoreA, scoreB, lines };
-}
-
-function buildPlayerMoments(rng, a, b) {
-  const moments = [];
-  const all = []
-    .concat((a.players || []).map(p => ({ team: a.name, p })))
-    .concat((b.players || []).map(p => ({ team: b.name, p })));
-  if (!all.length) return moments;
-
-  const actions = [
-    p => `${p.Name} hits a pull-up three.`,
-    p => `${p.Name} knocks down a corner three.`,
-    p => `${p.Name} buries a catch-and-shoot three.`,
-    p => `${p.Name} drains a midrange jumper.`,
-    p => `${p.Name} attacks the rim for two.`,
-    p => `${p.Name} finishes through contact.`,
-    p => `${p.Name} euro-steps for the bucket.`,
-    p => `${p.Name} throws down a fast-break dunk.`,
-    p => `${p.Name} rises for a poster dunk.`,
-    p => `${p.Name} threads a perfect assist.`,
-    p => `${p.Name} whips a cross-court dime.`,
-    p => `${p.Name} dishes inside for an easy finish.`,
-    p => `${p.Name} grabs a big offensive board.`,
-    p => `${p.Name} clears the glass on defense.`,
-    p => `${p.Name} tips in a miss.`,
-    p => `${p.Name} swats a shot at the rim.`,
-    p => `${p.Name} comes up with a steal.`,
-    p => `${p.Name} jumps a passing lane for a pick.`,
-    p => `${p.Name} draws a charge.`,
-    p => `${p.Name} takes over on the defensive end.`
-  ];
-
-  const pickPlayer = () => all[Math.floor(rng() * all.length)];
-  const pickAction = () => actions[Math.floor(rng() * actions.length)];
+  lines.push(`Tipoff: ${a.name} vs ${b.name}`);
+  filterEventsByDetail(game.events, detail).forEach(ev => {
+    lines.push(formatEventLine(ev, a, b));
+  });
+  lines.push('');
+  lines.push(...buildLineScore(a, b, game.periods, scoreA, scoreB));
+  lines.push('');
+  lines.push(`Keys for ${leader.name}: ${leaderKeys.join(', ')}`);
+  if (detail !== 'light') lines.push(`Struggles for ${trailer.name}: ${trailerKeys.join(', ')}`);
+  lines.push(`Final: ${a.name} ${scoreA} - ${b.name} ${scoreB}`);
 
-  for (let i = 0; i < 3; i++) {
-    const choice = pickPlayer();
-    moments.push(`${choice.team}: ${pickAction()(choice.p)}`);
-  }
-  return moments;
+  return { scoreA, scoreB, lines, quarters: game.periods, events: game.events, box: game.box };
 }
 
 function topDiffs(a, b) {
@@ -1100,12 +3406,13 @@ function teamRoleMetrics(team) {
     wingEfficiency: 0,
     centerBoards: 0
   };
-  players.forEach(pl => {
+  players.forEach((pl, idx) => {
     const pos = String(pl.Position || '').toUpperCase();
-    if (pos.includes('PG')) metrics.pgPlaymaking += Number(pl.AST) || 0;
-    if (pos.includes('SG')) metrics.sgScoring += Number(pl.PTS) || 0;
-    if (pos.includes('SF') || pos.includes('PF')) metrics.wingEfficiency += Number(pl.PER) || 0;
-    if (pos.includes('C')) metrics.centerBoards += (Number(pl.TRB) || 0) + (Number(pl.Height) || 0) * 0.1;
+    const w = team.minutes ? team.minutes[idx] / 48 : 1;
+    if (pos.includes('PG')) metrics.pgPlaymaking += (Number(pl.AST) || 0) * w;
+    if (pos.includes('SG')) metrics.sgScoring += (Number(pl.PTS) || 0) * w;
+    if (pos.includes('SF') || pos.includes('PF')) metrics.wingEfficiency += (Number(pl.PER) || 0) * w;
+    if (pos.includes('C')) metrics.centerBoards += ((Number(pl.TRB) || 0) + (Number(pl.Height) || 0) * 0.1) * w;
   });
   return metrics;
 }
@@ -1122,7 +3429,8 @@ function buildTeamFactors(a, b) {
     { label: 'PG playmaking edge', score: Math.abs(aRoles.pgPlaymaking - bRoles.pgPlaymaking) },
     { label: 'SG scoring edge', score: Math.abs(aRoles.sgScoring - bRoles.sgScoring) },
     { label: 'Wing efficiency edge', score: Math.abs(aRoles.wingEfficiency - bRoles.wingEfficiency) },
-    { label: 'Center rebounding edge', score: Math.abs(aRoles.centerBoards - bRoles.centerBoards) }
+    { label: 'Center rebounding edge', score: Math.abs(aRoles.centerBoards - bRoles.centerBoards) },
+    { label: 'Lineup chemistry edge', score: Math.abs((a.chemistry?.score || 0) - (b.chemistry?.score || 0)) / 5 }
   ].sort((x, y) => y.score - x.score);
 
   const combined = [...diffs, roleDiffs[0]];
@@ -1132,19 +3440,543 @@ function buildTeamFactors(a, b) {
 }
 
 function buildPlayerFactors(a, b) {
-  const diffs = topDiffs(a, b).slice(0, 3);
+  const ratingDiffs = ['offense', 'defense', 'durability'].map(key => ({
+    label: key.charAt(0).toUpperCase() + key.slice(1),
+    diff: ((a.ratings?.[key] || 0) - (b.ratings?.[key] || 0)) / 5
+  }));
+  const diffs = [...topDiffs(a, b), ...ratingDiffs]
+    .sort((x, y) => Math.abs(y.diff) - Math.abs(x.diff))
+    .slice(0, 3);
   const leader = diffs.map(d => `${d.label} advantage`);
   const trailer = diffs.map(d => `${d.label} deficit`);
   return { leader, trailer };
 }
 
-function simulateMatchup(detail) {
+/* =========================
+   SERIES
+   ========================= */
+const SERIES_HOME_PATTERNS = {
+  3: ['A', 'B', 'A'],
+  5: ['A', 'A', 'B', 'B', 'A'],
+  7: ['A', 'A', 'B', 'B', 'A', 'B', 'A']
+};
+
+/**
+ * Plays a best-of-N series. Each game gets its own seed derived from the
+ * matchup seed, and side A holds home court (2-2-1-1-1 for a best-of-7).
+ */
+function simulateSeries(a, b, length, detail, isTeam) {
+  const pattern = SERIES_HOME_PATTERNS[length] || SERIES_HOME_PATTERNS[7];
+  const needed = Math.floor(pattern.length / 2) + 1;
+  const baseSeed = seedFromNames(a.name, b.name);
+  const wins = { A: 0, B: 0 };
+  const totals = { A: {}, B: {} };
+  const games = [];
+
+  for (let g = 0; g < pattern.length && wins.A < needed && wins.B < needed; g++) {
+    const home = pattern[g];
+    const seed = seedFromNames(String(baseSeed), `game-${g + 1}`);
+    const story = simulateGameStory(a, b, detail, isTeam, { seed, home });
+    const winner = story.scoreA > story.scoreB ? 'A' : 'B';
+    wins[winner] += 1;
+
+    ['A', 'B'].forEach(side => {
+      story.box[side].forEach(line => {
+        const t = totals[side][line.name] || { name: line.name, games: 0, pts: 0, reb: 0, ast: 0, stl: 0, blk: 0 };
+        t.games += 1;
+        ['pts', 'reb', 'ast', 'stl', 'blk'].forEach(k => { t[k] += line[k]; });
+        totals[side][line.name] = t;
+      });
+    });
+
+    games.push({ number: g + 1, home, winner, scoreA: story.scoreA, scoreB: story.scoreB, story });
+  }
+
+  const winner = wins.A > wins.B ? 'A' : 'B';
+  const mvp = Object.values(totals[winner]).sort((x, y) => gameScore(y) - gameScore(x))[0];
+  return { games, wins, winner, mvp };
+}
+
+/* =========================
+   TOURNAMENT FORMATS
+   ========================= */
+function runSingleElimination(entrants, renderMatch, lines, rng) {
+  lines.push('Tournament Bracket', '');
+  let round = 1;
+  let current = shuffleInPlace(rng, entrants.slice());
+
+  while (current.length > 1) {
+    lines.push(`Round ${round}`, '');
+    let next = [];
+    if (current.length % 2 === 1) {
+      const byeIdx = Math.floor(rng() * current.length);
+      const bye = current.splice(byeIdx, 1)[0];
+      lines.push(`${bye.entity.name} receives a bye.`, '');
+      next.push(bye);
+    }
+    for (let i = 0; i < current.length; i += 2) {
+      const { winner } = renderMatch(current[i], current[i + 1], `Round ${round}`);
+      next.push(winner);
+    }
+    current = next;
+    round += 1;
+  }
+  return current[0];
+}
+
+/**
+ * Circle-method schedule: every entrant plays every other entrant once.
+ * Odd fields get a null slot, which is a bye for that round.
+ */
+function roundRobinRounds(entrants) {
+  const slots = entrants.slice();
+  if (slots.length % 2 === 1) slots.push(null);
+  const rounds = [];
+  for (let r = 0; r < slots.length - 1; r++) {
+    const pairs = [];
+    for (let i = 0; i < slots.length / 2; i++) {
+      pairs.push([slots[i], slots[slots.length - 1 - i]]);
+    }
+    rounds.push(pairs);
+    slots.splice(1, 0, slots.pop());
+  }
+  return rounds;
+}
+
+/**
+ * Standings sort: wins, then head-to-head wins among the tied entrants,
+ * then point differential, then points scored.
+ */
+function sortStandings(rows, headToHead) {
+  const byWins = {};
+  rows.forEach(row => {
+    (byWins[row.w] = byWins[row.w] || []).push(row);
+  });
+  const h2hWins = row => {
+    const tied = byWins[row.w].filter(other => other !== row);
+    return tied.reduce((sum, other) => sum + (headToHead[`${row.name}::${other.name}`] || 0), 0);
+  };
+  return rows.slice().sort((x, y) =>
+    (y.w - x.w) ||
+    (h2hWins(y) - h2hWins(x)) ||
+    ((y.pf - y.pa) - (x.pf - x.pa)) ||
+    (y.pf - x.pf)
+  );
+}
+
+function formatStandings(rows) {
+  const width = Math.max(4, ...rows.map(r => r.name.length));
+  const out = [`${'#'.padEnd(4)}${'Team'.padEnd(width)}   W   L    PF    PA   Diff`];
+  rows.forEach((r, idx) => {
+    const diff = r.pf - r.pa;
+    out.push(
+      `${`${idx + 1}.`.padEnd(4)}${r.name.padEnd(width)}` +
+      `${String(r.w).padStart(4)}${String(r.l).padStart(4)}` +
+      `${String(r.pf).padStart(6)}${String(r.pa).padStart(6)}` +
+      `${`${diff > 0 ? '+' : ''}${diff}`.padStart(7)}`
+    );
+  });
+  return out;
+}
+
+function runRoundRobin(entrants, renderMatch, lines) {
+  lines.push('Round Robin', '');
+  const table = new Map(entrants.map(e => [e, { name: e.entity.name, entrant: e, w: 0, l: 0, pf: 0, pa: 0 }]));
+  const headToHead = {};
+
+  roundRobinRounds(entrants).forEach((pairs, idx) => {
+    lines.push(`Round ${idx + 1}`, '');
+    pairs.forEach(([a, b]) => {
+      if (!a || !b) {
+        lines.push(`${(a || b).entity.name} has a bye.`, '');
+        return;
+      }
+      const result = renderMatch(a, b, `Round ${idx + 1}`);
+      const rowA = table.get(a);
+      const rowB = table.get(b);
+      rowA.pf += result.scoreA; rowA.pa += result.scoreB;
+      rowB.pf += result.scoreB; rowB.pa += result.scoreA;
+      table.get(result.winner).w += 1;
+      table.get(result.loser).l += 1;
+      const key = `${result.winner.entity.name}::${result.loser.entity.name}`;
+      headToHead[key] = (headToHead[key] || 0) + 1;
+    });
+  });
+
+  const standings = sortStandings(Array.from(table.values()), headToHead);
+  lines.push('Standings', ...formatStandings(standings), '');
+  lines.push('Tiebreakers: head-to-head wins among tied teams, then point differential.', '');
+  return standings[0].entrant;
+}
+
+/**
+ * Double elimination: a loss drops an entrant from the winners bracket to
+ * the losers bracket, a second loss eliminates them. The losers-bracket
+ * champion must beat the winners-bracket champion twice in the grand final.
+ */
+function runDoubleElimination(entrants, renderMatch, lines, rng) {
+  lines.push('Double Elimination Bracket', '');
+  let winners = shuffleInPlace(rng, entrants.slice());
+  let losers = [];
+  let round = 1;
+
+  const playRound = (pool, label, onLoss) => {
+    const current = pool.slice();
+    const next = [];
+    if (current.length % 2 === 1) {
+      const byeIdx = Math.floor(rng() * current.length);
+      const bye = current.splice(byeIdx, 1)[0];
+      lines.push(`${bye.entity.name} receives a bye.`, '');
+      next.push(bye);
+    }
+    for (let i = 0; i < current.length; i += 2) {
+      const a = current[i];
+      const b = current[i + 1];
+      const seed = seedFromNames(`${a.entity.name}::${b.entity.name}`, label);
+      const { winner, loser } = renderMatch(a, b, label, { seed });
+      next.push(winner);
+      onLoss(loser);
+    }
+    return next;
+  };
+
+  while (winners.length > 1 || losers.length > 1) {
+    const dropped = [];
+    if (winners.length > 1) {
+      lines.push(`Winners Bracket Round ${round}`, '');
+      winners = playRound(winners, `Winners Round ${round}`, loser => dropped.push(loser));
+    }
+    if (losers.length > 1) {
+      lines.push(`Losers Bracket Round ${round}`, '');
+      losers = playRound(losers, `Losers Round ${round}`, loser => {
+        lines.push(`${loser.entity.name} is eliminated.`, '');
+      });
+    }
+    losers = losers.concat(dropped);
+    round += 1;
+  }
+
+  const [wbChamp] = winners;
+  const [lbChamp] = losers;
+  if (!lbChamp) return wbChamp;
+
+  lines.push('Grand Final', '');
+  const final = renderMatch(wbChamp, lbChamp, 'Grand Final', {
+    seed: seedFromNames(`${wbChamp.entity.name}::${lbChamp.entity.name}`, 'Grand Final')
+  });
+  if (final.winner === wbChamp) return wbChamp;
+
+  lines.push(`${lbChamp.entity.name} forces a deciding game.`, '');
+  const reset = renderMatch(wbChamp, lbChamp, 'Grand Final Reset', {
+    seed: seedFromNames(`${wbChamp.entity.name}::${lbChamp.entity.name}`, 'Grand Final Reset')
+  });
+  return reset.winner;
+}
+
+/* =========================
+   LEAGUE SEASON
+   ========================= */
+const LEAGUE_AVERAGE_COLS = [
+  ['MIN', t => t.min], ['PTS', t => t.pts], ['REB', t => t.reb], ['AST', t => t.ast],
+  ['STL', t => t.stl], ['BLK', t => t.blk]
+];
+
+/**
+ * Everyone plays everyone `gamesEach` times. Each pass through the
+ * round-robin schedule flips home court, so an even count splits it.
+ */
+function buildLeagueSchedule(entrants, gamesEach) {
+  const schedule = [];
+  const rounds = roundRobinRounds(entrants);
+  for (let cycle = 0; cycle < gamesEach; cycle++) {
+    rounds.forEach(pairs => {
+      pairs.forEach(([a, b]) => {
+        if (!a || !b) return;
+        const [home, away] = cycle % 2 === 0 ? [a, b] : [b, a];
+        schedule.push({ home, away, cycle });
+      });
+    });
+  }
+  return schedule;
+}
+
+function addSeasonLine(totals, line) {
+  totals.gp += 1;
+  ['min', 'pts', 'reb', 'ast', 'stl', 'blk', 'fgm', 'fga', 'tpm', 'tpa'].forEach(k => { totals[k] += line[k]; });
+}
+
+function formatSeasonAverages(rows) {
+  const width = Math.max(6, ...rows.map(r => r.name.length));
+  const per = (t, v) => fmt(v / (t.gp || 1), 1);
+  const pct = (made, att) => (att ? fmt((made / att) * 100, 1) : '-');
+  return [
+    `${'Player'.padEnd(width)}${'GP'.padStart(5)}${LEAGUE_AVERAGE_COLS.map(c => c[0].padStart(7)).join('')}${'FG%'.padStart(7)}${'3P%'.padStart(7)}`,
+    ...rows.map(t => `${t.name.padEnd(width)}${String(t.gp).padStart(5)}` +
+      LEAGUE_AVERAGE_COLS.map(c => per(t, c[1](t)).padStart(7)).join('') +
+      `${pct(t.fgm, t.fga).padStart(7)}${pct(t.tpm, t.tpa).padStart(7)}`)
+  ];
+}
+
+/** Top four seeds (top two for three teams) play off, higher seed at home. */
+function runLeaguePlayoffs(standings, detail, isTeam, seriesLength, lines) {
+  const size = standings.length >= 4 ? 4 : 2;
+  const seeds = standings.slice(0, size).map((row, idx) => ({ seed: idx + 1, entrant: row.entrant }));
+  lines.push('Playoffs', '');
+
+  const playRound = (label, a, b) => {
+    const tag = s => `(${s.seed}) ${s.entrant.entity.name}`;
+    let aWins;
+    let score;
+    if (seriesLength > 1) {
+      const series = simulateSeries(a.entrant.entity, b.entrant.entity, seriesLength, detail, isTeam);
+      aWins = series.winner === 'A';
+      score = `${series.wins[series.winner]}-${series.wins[aWins ? 'B' : 'A']}`;
+    } else {
+      const seed = seedFromNames(String(sessionSeed ?? 0), `playoffs:${label}:${a.entrant.entity.name}::${b.entrant.entity.name}`);
+      const story = simulateGameStory(a.entrant.entity, b.entrant.entity, detail, isTeam, { seed, home: 'A' });
+      aWins = story.scoreA > story.scoreB;
+      score = `${Math.max(story.scoreA, story.scoreB)}-${Math.min(story.scoreA, story.scoreB)}`;
+    }
+    const [winner, loser] = aWins ? [a, b] : [b, a];
+    lines.push(`${label}: ${tag(winner)} def. ${tag(loser)}, ${score}`);
+    return winner;
+  };
+
+  let finalists = seeds;
+  if (size === 4) {
+    finalists = [
+      playRound('Semifinal', seeds[0], seeds[3]),
+      playRound('Semifinal', seeds[1], seeds[2])
+    ].sort((x, y) => x.seed - y.seed);
+  }
+  const champion = playRound('Finals', finalists[0], finalists[1]);
+  lines.push('');
+  return champion.entrant;
+}
+
+/**
+ * Regular season plus playoffs. Every game is a full simulateGameStory
+ * run; the log lists results only, with standings, team leaders, league
+ * leaders and per-player season averages after the last game.
+ */
+function runLeague(entrants, detail, isTeam, options, lines) {
+  const gamesEach = Math.max(1, Number(options.leagueGames) || 4);
+  const schedule = buildLeagueSchedule(entrants, gamesEach);
+  const table = new Map(entrants.map(e => [e, { name: e.entity.name, entrant: e, w: 0, l: 0, pf: 0, pa: 0 }]));
+  const seasonLines = new Map(entrants.map(e => [e, new Map()]));
+  const headToHead = {};
+
+  lines.push(`League Season: ${schedule.length} games, each team plays every opponent ${gamesEach} time${gamesEach === 1 ? '' : 's'}`, '');
+  schedule.forEach((game, idx) => {
+    const { home, away } = game;
+    const seed = seedFromNames(String(sessionSeed ?? 0), `league:${idx}:${home.entity.name}::${away.entity.name}`);
+    const story = simulateGameStory(home.entity, away.entity, detail, isTeam, { seed, home: 'A' });
+    const homeWins = story.scoreA > story.scoreB;
+    const [winner, loser] = homeWins ? [home, away] : [away, home];
+    const rowHome = table.get(home);
+    const rowAway = table.get(away);
+    rowHome.pf += story.scoreA; rowHome.pa += story.scoreB;
+    rowAway.pf += story.scoreB; rowAway.pa += story.scoreA;
+    table.get(winner).w += 1;
+    table.get(loser).l += 1;
+    const key = `${winner.entity.name}::${loser.entity.name}`;
+    headToHead[key] = (headToHead[key] || 0) + 1;
+
+    [[home, story.box.A], [away, story.box.B]].forEach(([entrant, box]) => {
+      const byName = seasonLines.get(entrant);
+      box.forEach(line => {
+        const totals = byName.get(line.name) || { name: line.name, gp: 0, min: 0, pts: 0, reb: 0, ast: 0, stl: 0, blk: 0, fgm: 0, fga: 0, tpm: 0, tpa: 0 };
+        addSeasonLine(totals, line);
+        byName.set(line.name, totals);
+      });
+    });
+    lines.push(`Game ${idx + 1}: ${away.entity.name} ${story.scoreB} @ ${home.entity.name} ${story.scoreA}`);
+  });
+  lines.push('');
+
+  const standings = sortStandings(Array.from(table.values()), headToHead);
+  lines.push('Final Standings', ...formatStandings(standings), '');
+
+  const everyone = [];
+  lines.push('Team Leaders (per game)');
+  standings.forEach(row => {
+    const roster = Array.from(seasonLines.get(row.entrant).values());
+    roster.forEach(t => everyone.push({ team: row.name, t }));
+    const leader = (key, label) => {
+      const top = roster.slice().sort((x, y) => y[key] / y.gp - x[key] / x.gp)[0];
+      return top ? `${label} ${top.name} ${fmt(top[key] / top.gp, 1)}` : `${label} -`;
+    };
+    lines.push(`- ${row.name}: ${leader('pts', 'PTS')} | ${leader('reb', 'REB')} | ${leader('ast', 'AST')}`);
+  });
+  lines.push('');
+
+  lines.push('League Leaders (per game)');
+  [['pts', 'Points'], ['reb', 'Rebounds'], ['ast', 'Assists']].forEach(([key, label]) => {
+    const top = everyone
+      .slice()
+      .sort((x, y) => y.t[key] / y.t.gp - x.t[key] / x.t.gp)
+      .slice(0, 3)
+      .map(({ team, t }) => `${t.name} (${team}) ${fmt(t[key] / t.gp, 1)}`);
+    lines.push(`- ${label}: ${top.join(', ')}`);
+  });
+  lines.push('');
+
+  lines.push('Season Averages');
+  standings.forEach(row => {
+    lines.push(`${row.name} (${row.w}-${row.l})`, ...formatSeasonAverages(Array.from(seasonLines.get(row.entrant).values())), '');
+  });
+
+  return runLeaguePlayoffs(standings, detail, isTeam, Number(options.seriesLength) || 1, lines);
+}
+
+/* =========================
+   MONTE CARLO
+   ========================= */
+const MONTE_CARLO_RUNS = 1000;
+// Series and tournaments replay the same pairings many times, so each
+// pairing and venue plays this many distinct games and later draws
+// resample them. A single head-to-head game always plays every run.
+const MONTE_CARLO_GAMES_PER_PAIRING = 120;
+const MARGIN_BUCKETS = [
+  { lo: -Infinity, hi: -21 }, { lo: -20, hi: -16 }, { lo: -15, hi: -11 }, { lo: -10, hi: -6 }, { lo: -5, hi: -1 },
+  { lo: 1, hi: 5 }, { lo: 6, hi: 10 }, { lo: 11, hi: 15 }, { lo: 16, hi: 20 }, { lo: 21, hi: Infinity }
+];
+
+/**
+ * Returns play(a, b, home) for engine entities. Games are seeded from the
+ * session seed, the pairing and a counter, and cached until `limit`.
+ */
+function createGameSampler(isTeam, rng, limit) {
+  const cache = new Map();
+  return (a, b, home = null) => {
+    if (!cache.has(a)) cache.set(a, new Map());
+    const byOpponent = cache.get(a);
+    if (!byOpponent.has(b)) byOpponent.set(b, {});
+    const venues = byOpponent.get(b);
+    const games = venues[home] || (venues[home] = []);
+    if (games.length >= limit) return games[Math.floor(rng() * games.length)];
+    const seed = seedFromNames(String(sessionSeed ?? 0), `mc:${a.name}::${b.name}::${home}::${games.length}`);
+    const game = runGameEngine(rngFromSeed(seed), a, b, isTeam, home);
+    const result = { scoreA: game.scoreA, scoreB: game.scoreB };
+    games.push(result);
+    return result;
+  };
+}
+
+function percent(part, whole) {
+  return `${fmt(whole ? (part / whole) * 100 : 0, 1)}%`;
+}
+
+function marginHistogramLines(margins, nameA, nameB) {
+  const counts = MARGIN_BUCKETS.map(bucket => margins.filter(m => m >= bucket.lo && m <= bucket.hi).length);
+  const max = Math.max(1, ...counts);
+  const labels = MARGIN_BUCKETS.map(({ lo, hi }) => {
+    if (hi < 0) return `${nameB} by ${Number.isFinite(lo) ? `${-hi}-${-lo}` : `${-hi}+`}`;
+    return `${nameA} by ${Number.isFinite(hi) ? `${lo}-${hi}` : `${lo}+`}`;
+  });
+  const width = Math.max(...labels.map(l => l.length));
+  return labels.map((label, idx) =>
+    `  ${label.padEnd(width)} |${'#'.repeat(Math.round((counts[idx] / max) * 30)).padEnd(30)} ${percent(counts[idx], margins.length)}`
+  );
+}
+
+function headToHeadMonteCarlo(a, b, isTeam, seriesLength) {
+  const rng = sessionRng('monte-carlo');
+  const nameA = a.entity.name;
+  const nameB = b.entity.name;
+  const margins = [];
+  const totals = { A: 0, B: 0 };
+  let winsA = 0;
+  let seriesGames = 0;
+
+  if (seriesLength > 1) {
+    const play = createGameSampler(isTeam, rng, MONTE_CARLO_GAMES_PER_PAIRING);
+    const pattern = SERIES_HOME_PATTERNS[seriesLength] || SERIES_HOME_PATTERNS[7];
+    const needed = Math.floor(pattern.length / 2) + 1;
+    for (let run = 0; run < MONTE_CARLO_RUNS; run++) {
+      const wins = { A: 0, B: 0 };
+      for (let g = 0; wins.A < needed && wins.B < needed; g++) {
+        const game = play(a.entity, b.entity, pattern[g]);
+        wins[game.scoreA > game.scoreB ? 'A' : 'B'] += 1;
+        margins.push(game.scoreA - game.scoreB);
+        totals.A += game.scoreA;
+        totals.B += game.scoreB;
+        seriesGames += 1;
+      }
+      if (wins.A > wins.B) winsA += 1;
+    }
+  } else {
+    const play = createGameSampler(isTeam, rng, MONTE_CARLO_RUNS);
+    for (let run = 0; run < MONTE_CARLO_RUNS; run++) {
+      const game = play(a.entity, b.entity);
+      if (game.scoreA > game.scoreB) winsA += 1;
+      margins.push(game.scoreA - game.scoreB);
+      totals.A += game.scoreA;
+      totals.B += game.scoreB;
+    }
+  }
+
+  const avgMargin = margins.reduce((sum, m) => sum + m, 0) / margins.length;
+  const unit = seriesLength > 1 ? `best-of-${seriesLength} series` : 'games';
+  const lines = [
+    `=== MONTE CARLO (${MONTE_CARLO_RUNS.toLocaleString('en-US')} ${unit}) ===`,
+    `${nameA} wins ${percent(winsA, MONTE_CARLO_RUNS)} | ${nameB} wins ${percent(MONTE_CARLO_RUNS - winsA, MONTE_CARLO_RUNS)}`
+  ];
+  if (seriesLength > 1) lines.push(`Average series length: ${fmt(seriesGames / MONTE_CARLO_RUNS, 1)} games`);
+  lines.push(
+    `Average margin: ${avgMargin >= 0 ? nameA : nameB} by ${fmt(Math.abs(avgMargin), 1)} per game (average score ${fmt(totals.A / margins.length, 1)} - ${fmt(totals.B / margins.length, 1)})`,
+    `Margin distribution over ${margins.length.toLocaleString('en-US')} games:`,
+    ...marginHistogramLines(margins, nameA, nameB)
+  );
+  return lines;
+}
+
+function tournamentMonteCarlo(entrants, isTeam, format) {
+  const rng = sessionRng(`monte-carlo:${format}`);
+  const play = createGameSampler(isTeam, rng, MONTE_CARLO_GAMES_PER_PAIRING);
+  const stats = new Map(entrants.map(e => [e, { name: e.entity.name, titles: 0, w: 0, l: 0, margin: 0 }]));
+  const quietMatch = (a, b) => {
+    const game = play(a.entity, b.entity);
+    const aWins = game.scoreA > game.scoreB;
+    const rowA = stats.get(a);
+    const rowB = stats.get(b);
+    rowA.margin += game.scoreA - game.scoreB;
+    rowB.margin += game.scoreB - game.scoreA;
+    (aWins ? rowA : rowB).w += 1;
+    (aWins ? rowB : rowA).l += 1;
+    return { winner: aWins ? a : b, loser: aWins ? b : a, scoreA: game.scoreA, scoreB: game.scoreB };
+  };
+
+  for (let run = 0; run < MONTE_CARLO_RUNS; run++) {
+    const scratch = [];
+    let champion;
+    if (format === 'roundRobin') champion = runRoundRobin(entrants, quietMatch, scratch);
+    else if (format === 'double') champion = runDoubleElimination(entrants, quietMatch, scratch, rng);
+    else champion = runSingleElimination(entrants, quietMatch, scratch, rng);
+    stats.get(champion).titles += 1;
+  }
+
+  const rows = Array.from(stats.values()).sort((x, y) => y.titles - x.titles || y.w - x.w);
+  const width = Math.max(4, ...rows.map(r => r.name.length));
+  return [
+    `=== MONTE CARLO (${MONTE_CARLO_RUNS.toLocaleString('en-US')} tournaments) ===`,
+    `${'Team'.padEnd(width)}  Title    Win%  Avg Margin`,
+    ...rows.map(r => {
+      const games = r.w + r.l;
+      const margin = games ? r.margin / games : 0;
+      return `${r.name.padEnd(width)}  ${percent(r.titles, MONTE_CARLO_RUNS).padStart(6)}  ${percent(r.w, games).padStart(6)}  ${`${margin >= 0 ? '+' : ''}${fmt(margin, 1)}`.padStart(10)}`;
+    })
+  ];
+}
+
+function simulateMatchup(detail, options = {}) {
   if (participants.length < 2) {
     return 'Need at least 2 participants to simulate a matchup.';
   }
 
   const isTeam = gameMode === 'team';
-  const entrants = participants.map(p => {
+  const entrants = participants.map(raw => {
+    const p = eraAdjust ? eraAdjustedParticipant(raw) : raw;
     if (gameMode === 'attribute') {
       return { entity: buildPlayerFromAttributes(p), participant: p };
     }
@@ -1153,45 +3985,90 @@ function simulateMatchup(detail) {
 
   const lines = [];
 
-  const renderMatch = (a, b, roundLabel) => {
-    const story = simulateGameStory(a.entity, b.entity, detail, isTeam);
+  const renderMatch = (a, b, roundLabel, gameOptions = {}) => {
+    const story = simulateGameStory(a.entity, b.entity, detail, isTeam, gameOptions);
     const header = isTeam
       ? `Team Battle: ${a.entity.name} vs ${b.entity.name}`
       : `Custom Players: ${a.entity.name} vs ${b.entity.name}`;
     lines.push(`${roundLabel} - ${header}`, '');
     lines.push(...buildStatLines(a, b, isTeam), '');
     lines.push(...story.lines, '');
-    const winner = story.scoreA >= story.scoreB ? a : b;
+    if (isTeam) lines.push(...buildGameBoxLines(a.entity, b.entity, story.box), '');
+    const aWins = story.scoreA >= story.scoreB;
+    return {
+      winner: aWins ? a : b,
+      loser: aWins ? b : a,
+      scoreA: story.scoreA,
+      scoreB: story.scoreB
+    };
+  };
+
+  const renderSeries = (a, b, length) => {
+    const series = simulateSeries(a.entity, b.entity, length, detail, isTeam);
+    const header = isTeam
+      ? `Team Battle: ${a.entity.name} vs ${b.entity.name}`
+      : `Custom Players: ${a.entity.name} vs ${b.entity.name}`;
+    lines.push(`Best-of-${length} Series - ${header}`, '');
+    lines.push(...buildStatLines(a, b, isTeam), '');
+
+    const running = { A: 0, B: 0 };
+    series.games.forEach(game => {
+      const venue = game.home === 'A' ? a.entity.name : b.entity.name;
+      running[game.winner] += 1;
+      const status = running.A === running.B
+        ? `Series tied ${running.A}-${running.B}`
+        : `${running.A > running.B ? a.entity.name : b.entity.name} leads ${Math.max(running.A, running.B)}-${Math.min(running.A, running.B)}`;
+      lines.push(`Game ${game.number} (at ${venue})`, '');
+      lines.push(...game.story.lines);
+      if (isTeam) lines.push('', ...buildGameBoxLines(a.entity, b.entity, game.story.box));
+      lines.push(status, '');
+    });
+
+    const winner = series.winner === 'A' ? a : b;
+    const loser = series.winner === 'A' ? b : a;
+    lines.push('Series Result');
+    lines.push(`${winner.entity.name} wins the series ${series.wins[series.winner]}-${series.wins[series.winner === 'A' ? 'B' : 'A']} over ${loser.entity.name}`);
+    series.games.forEach(game => {
+      const venue = game.home === 'A' ? a.entity.name : b.entity.name;
+      lines.push(`- Game ${game.number}: ${a.entity.name} ${game.scoreA} - ${b.entity.name} ${game.scoreB} (at ${venue})`);
+    });
+    const mvp = series.mvp;
+    if (mvp) {
+      const per = v => fmt(v / (mvp.games || 1), 1);
+      const team = isTeam ? ` (${winner.entity.name})` : '';
+      lines.push(`Series MVP: ${mvp.name}${team} - ${per(mvp.pts)} PTS, ${per(mvp.reb)} REB, ${per(mvp.ast)} AST per game`);
+    }
     return winner;
   };
 
-  if (entrants.length === 2) {
-    renderMatch(entrants[0], entrants[1], 'Match');
+  if (options.format === 'league') {
+    const champion = runLeague(entrants, detail, isTeam, options, lines);
+    lines.push(`Champion: ${champion.entity.name}`);
+    if (options.monteCarlo) lines.push('', 'Monte Carlo covers single games, series and brackets; a league season is played once.');
     return lines.join('\n');
   }
 
-  lines.push('Tournament Bracket', '');
-  let round = 1;
-  let current = entrants.slice().sort(() => 0.5 - Math.random());
+  if (entrants.length === 2) {
+    const seriesLength = Number(options.seriesLength) || 1;
+    if (seriesLength > 1) renderSeries(entrants[0], entrants[1], seriesLength);
+    else renderMatch(entrants[0], entrants[1], 'Match');
+    if (options.monteCarlo) lines.push('', ...headToHeadMonteCarlo(entrants[0], entrants[1], isTeam, seriesLength));
+    return lines.join('\n');
+  }
 
-  while (current.length > 1) {
-    lines.push(`Round ${round}`, '');
-    let next = [];
-    if (current.length % 2 === 1) {
-      const byeIdx = Math.floor(Math.random() * current.length);
-      const bye = current.splice(byeIdx, 1)[0];
-      lines.push(`${bye.entity.name} receives a bye.`, '');
-      next.push(bye);
-    }
-    for (let i = 0; i < current.length; i += 2) {
-      const winner = renderMatch(current[i], current[i + 1], `Round ${round}`);
-      next.push(winner);
-    }
-    current = next;
-    round += 1;
+  const format = options.format || 'single';
+  const drawRng = sessionRng(`bracket:${format}`);
+  let champion;
+  if (format === 'roundRobin') {
+    champion = runRoundRobin(entrants, renderMatch, lines);
+  } else if (format === 'double') {
+    champion = runDoubleElimination(entrants, renderMatch, lines, drawRng);
+  } else {
+    champion = runSingleElimination(entrants, renderMatch, lines, drawRng);
   }
 
-  lines.push(`Champion: ${current[0].entity.name}`);
+  lines.push(`Champion: ${champion.entity.name}`);
+  if (options.monteCarlo) lines.push('', ...tournamentMonteCarlo(entrants, isTeam, format));
 
   // Add analytical insights
   lines.push('');
@@ -1221,15 +4098,26 @@ function buildStatLines(a, b, isTeam) {
         const per = fmt(pl.PER, 1);
         const fg = fmt(pl['FG%'], 1);        lines.push(`- ${labelMap[attr]}: ${sel.source} | PTS ${pts} AST ${ast} REB ${reb} PER ${per} FG% ${fg}`);
       });
+      const { offense, defense, durability } = p.entity.ratings || {};
+      if (offense !== undefined) lines.push(`Ratings: Offense ${offense} | Defense ${defense} | Durability ${durability}`);
       return lines;
     };
     statLines.push(...buildAttrLines(a), '', ...buildAttrLines(b));
   } else {
     const buildTeamLines = (team) => {
       const lines = [`${team.entity.name} Roster:`];
-      team.entity.players.forEach(pl => {
-        lines.push(`- ${pl.Name} | PTS ${fmt(pl.PTS, 1)} AST ${fmt(pl.AST, 1)} REB ${fmt(pl.TRB, 1)} PER ${fmt(pl.PER, 1)} FG% ${fmt(pl['FG%'], 1)}`);
+      const { slots = [], minutes = [] } = team.entity;
+      const hasBench = slots.some(slot => BENCH_SLOTS.includes(slot));
+      team.entity.players.forEach((pl, idx) => {
+        if (BENCH_SLOTS.includes(slots[idx]) && !BENCH_SLOTS.includes(slots[idx - 1])) lines.push('  Bench:');
+        const mins = hasBench && minutes[idx] ? ` | ${minutes[idx]} MIN` : '';
+        lines.push(`- ${pl.Name}${mins} | PTS ${fmt(pl.PTS, 1)} AST ${fmt(pl.AST, 1)} REB ${fmt(pl.TRB, 1)} PER ${fmt(pl.PER, 1)} FG% ${fmt(pl['FG%'], 1)}`);
       });
+      const chem = team.entity.chemistry;
+      if (chem) {
+        lines.push(`Chemistry: ${chem.score}/100 | Spacing ${fmt(chem.shooters, 1)} shooters | Lead handler ${fmt(chem.lead, 1)} AST | Rim ${chem.rimLabel}`);
+        if (chem.issues.length) lines.push(`Fit issues: ${chem.issues.join(', ')}`);
+      }
       return lines;
     };
     statLines.push(...buildTeamLines(a), '', ...buildTeamLines(b));